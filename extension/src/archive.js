@@ -0,0 +1,144 @@
+// Offline archive export for Amazon Wishlist Scraper
+// Packs the items' data and their images into a ZIP, since Amazon's image URLs
+// don't last forever
+
+// File extensions for the image types Amazon's image servers send
+const ARCHIVE_IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Downloads an image for the archive
+ * @param {string} url - Image URL
+ * @returns {Promise<Object|null>} - { data, extension }, or null if it could not be fetched
+ */
+async function fetchImageFile(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    const urlExtension = (url.match(/\.(jpe?g|png|gif|webp)(?:[?#]|$)/i) || [])[1];
+    return {
+      data: new Uint8Array(await blob.arrayBuffer()),
+      extension: ARCHIVE_IMAGE_EXTENSIONS[blob.type.split(';')[0]] ||
+        (urlExtension ? urlExtension.toLowerCase().replace('jpeg', 'jpg') : 'jpg')
+    };
+  } catch (error) {
+    console.warn('Could not download image:', url, error);
+    return null;
+  }
+}
+
+/**
+ * Builds the archive: items.json and items.csv with the export columns,
+ * one file per image under images/ (named by ASIN) and manifest.json
+ * mapping each ASIN to its image file
+ * @param {Array} items - Items to archive
+ * @param {Array} columns - Column definitions for the data files
+ * @param {Object} settings - Export settings (CSV dialect)
+ * @returns {Promise<Blob>} - ZIP archive
+ */
+async function buildArchive(items, columns, settings) {
+  const images = await embedItemImages(items, fetchImageFile);
+  const files = [
+    { name: 'items.json', data: buildJSON(items, columns) },
+    { name: 'items.csv', data: buildCSV(items, columns, settings) }
+  ];
+
+  // Items sharing an image share its file. An ASIN seen with two images (lists
+  // scraped at different times) gets a numbered second file; the manifest maps
+  // the ASIN to the first
+  const imageFiles = new Map();
+  const usedNames = new Set();
+  const manifestImages = {};
+  const missingImages = new Set();
+  items.forEach((item, index) => {
+    const image = images.get(item.image);
+    if (!image) {
+      if (item.asin) missingImages.add(item.asin);
+      return;
+    }
+
+    if (!imageFiles.has(item.image)) {
+      const base = `images/${item.asin || `item-${index + 1}`}`;
+      let name = `${base}.${image.extension}`;
+      for (let copy = 2; usedNames.has(name); copy++) {
+        name = `${base}-${copy}.${image.extension}`;
+      }
+      usedNames.add(name);
+      imageFiles.set(item.image, name);
+      files.push({ name: name, data: image.data });
+    }
+    if (item.asin && !manifestImages[item.asin]) {
+      manifestImages[item.asin] = imageFiles.get(item.image);
+    }
+  });
+
+  const manifest = {
+    exportedAt: new Date().toISOString(),
+    itemCount: items.length,
+    data: { json: 'items.json', csv: 'items.csv' },
+    images: manifestImages,
+    missingImages: [...missingImages].filter(asin => !manifestImages[asin])
+  };
+  files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  return createZip(files);
+}
+
+/**
+ * Saves a file through chrome.downloads
+ * The blob URL is released once Chrome has finished with it
+ * @param {Blob} blob - File content
+ * @param {string} filename - Download file name
+ * @returns {Promise<number>} - Download ID
+ */
+async function saveWithDownloads(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  let downloadId;
+  try {
+    downloadId = await chrome.downloads.download({ url: url, filename: filename });
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+
+  const release = () => {
+    chrome.downloads.onChanged.removeListener(onChanged);
+    URL.revokeObjectURL(url);
+  };
+  const onChanged = (delta) => {
+    if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+      release();
+    }
+  };
+  chrome.downloads.onChanged.addListener(onChanged);
+
+  // Small files can finish before the listener is in place
+  const [download] = await chrome.downloads.search({ id: downloadId });
+  if (!download || download.state !== 'in_progress') {
+    release();
+  }
+  return downloadId;
+}
+
+/**
+ * Exports items to a ZIP archive with their data, images and a manifest
+ * @param {Array} items - Array of wishlist item objects
+ * @param {string} filename - File name without extension
+ * @param {Array} columns - Column definitions for the data files
+ * @param {Object} settings - Export settings (CSV dialect)
+ * @returns {Promise<void>}
+ */
+async function exportToArchive(items, filename, columns = ITEM_COLUMNS, settings = DEFAULT_EXPORT_SETTINGS) {
+  if (!items || items.length === 0) {
+    alert(t('noItemsToExport'));
+    return;
+  }
+
+  const archive = await buildArchive(items, columns, settings);
+  await saveWithDownloads(archive, `${filename}.zip`);
+}
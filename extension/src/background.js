@@ -1,46 +1,72 @@
 // Background service worker for Amazon Wishlist Scraper
-// Handles message passing between popup and content script
+// Runs scrape jobs for the popup, relaying between popup and content script,
+// runs scheduled price-watch checks, pushes completed scrapes to the webhook
+// and adds context-menu picks to the collection
+
+importScripts(
+  'marketplaces.js', 'i18n.js', 'price.js', 'utils.js', 'history.js', 'watches.js',
+  'selectorProfiles.js', 'scrapeJobs.js', 'collection.js', 'webhook.js', 'errors.js'
+);
+
+// Watches currently being checked, so overlapping alarms don't double-scrape
+const runningWatches = new Set();
+
+// Scrapes in progress by tab ID: { job, controller, ports }, where ports are the
+// popup ports following the job
+const activeScrapes = new Map();
+
+// Context menu entry for adding products to the collection
+const COLLECT_MENU_ID = 'addToCollection';
+
+// Toolbar badge colors per job status
+const BADGE_COLORS = {
+  running: '#6b7280',
+  done: '#10b981',
+  cancelled: '#6b7280',
+  error: '#ef4444'
+};
 
 /**
- * Injects content script and sends message with retry logic
+ * Injects content script and sends a message with retry logic
+ * @param {number} tabId - Tab to message
+ * @param {Object} message - Message for the content script
+ * @param {number} retries - Attempts after injecting the script
+ * @returns {Promise<Object>} - Content script response; failures to reach the
+ *   script come back with errorCode INJECTION_FAILED
  */
-function injectAndScrape(tabId, retries = 3) {
+function injectAndSend(tabId, message, retries = 3) {
+  const fail = text => ({ success: false, error: text, errorCode: ERROR_CODES.INJECTION_FAILED });
+  
   return new Promise((resolve) => {
     // Try to send message first (content script might already be loaded)
-    chrome.tabs.sendMessage(tabId, { action: 'scrapeWishlist' }, (response) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
       if (!chrome.runtime.lastError) {
         // Content script is loaded and responded
-        resolve(response || { success: false, error: 'No response from content script' });
+        resolve(response || fail(t('errNoResponse')));
         return;
       }
       
       // Content script not loaded, inject it
       chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ['src/contentScript.js']
+        files: ['src/marketplaces.js', 'src/i18n.js', 'src/price.js', 'src/errors.js', 'src/extractor.js', 'src/contentScript.js']
       }, (injectionResults) => {
         if (chrome.runtime.lastError) {
-          resolve({ 
-            success: false, 
-            error: `Failed to inject content script: ${chrome.runtime.lastError.message}` 
-          });
+          resolve(fail(t('errInjectFailed', chrome.runtime.lastError.message)));
           return;
         }
         
         // Wait for script to initialize, then send message with retry
         const attemptMessage = (attempt = 0) => {
           setTimeout(() => {
-            chrome.tabs.sendMessage(tabId, { action: 'scrapeWishlist' }, (response) => {
+            chrome.tabs.sendMessage(tabId, message, (response) => {
               if (chrome.runtime.lastError && attempt < retries) {
                 // Retry if failed
                 attemptMessage(attempt + 1);
               } else if (chrome.runtime.lastError) {
-                resolve({ 
-                  success: false, 
-                  error: `Failed to communicate with content script: ${chrome.runtime.lastError.message}` 
-                });
+                resolve(fail(t('errCommFailed', chrome.runtime.lastError.message)));
               } else {
-                resolve(response || { success: false, error: 'No response from content script' });
+                resolve(response || fail(t('errNoResponse')));
               }
             });
           }, attempt === 0 ? 200 : 100); // Longer initial wait, then shorter retries
@@ -52,34 +78,798 @@ function injectAndScrape(tabId, retries = 3) {
   });
 }
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Relay messages between popup and content script
-  if (message.action === 'scrapeWishlist') {
-    // Forward scrape request to content script
-    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-      if (!tabs[0]) {
-        sendResponse({ success: false, error: 'No active tab found' });
-        return;
+/**
+ * Injects content script if needed and scrapes the wishlist in a tab
+ * The scrape runs over a port so progress can be streamed while it loads pages.
+ * The active selector profile travels with the request, so imported profiles
+ * take effect without reloading the extension
+ * @param {number} tabId - Tab showing a wishlist
+ * @param {Object} [options] - { onProgress, signal }: onProgress receives each
+ *   progress message from the content script; aborting signal cancels the scrape,
+ *   which then resolves with the items collected so far and cancelled: true
+ * @returns {Promise<Object>} - Scrape response ({ success, items, list, cancelled?, diagnostics? }
+ *   or { success, error, diagnostics? })
+ */
+async function injectAndScrape(tabId, options = {}) {
+  const { onProgress, signal } = options;
+  const [profile, diagnostics] = await Promise.all([getSelectorProfile(), isDiagnosticsEnabled()]);
+  
+  const ping = await injectAndSend(tabId, { action: 'ping' });
+  if (!ping.success) {
+    return ping;
+  }
+  
+  return new Promise((resolve) => {
+    const port = chrome.tabs.connect(tabId, { name: SCRAPE_PORT_NAME });
+    const cancel = () => port.postMessage({ action: 'cancel' });
+    let settled = false;
+    
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', cancel);
+      port.disconnect();
+      resolve(response);
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'progress' && onProgress) {
+        onProgress(message);
+      } else if (message.type === 'result') {
+        finish(message.response);
       }
-      
-      const tab = tabs[0];
-      
-      // Check if we're on Amazon
-      if (!tab.url || !tab.url.includes('amazon.com')) {
-        sendResponse({ success: false, error: 'Please navigate to an Amazon wishlist page' });
-        return;
+    });
+    // Closing or navigating the tab ends the scrape without a result
+    port.onDisconnect.addListener(() => {
+      finish({ success: false, error: t('errConnectionLost'), errorCode: ERROR_CODES.CONNECTION_LOST });
+    });
+    
+    signal?.addEventListener('abort', cancel, { once: true });
+    port.postMessage({ action: 'scrapeWishlist', profile: profile, diagnostics: diagnostics });
+  });
+}
+
+/**
+ * Resolves once a tab has finished loading
+ * @param {number} tabId - Tab to wait for
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(t('errTabLoadTimeout')));
+    }, timeoutMs);
+    
+    chrome.tabs.onUpdated.addListener(listener);
+    
+    // The tab may have finished loading before the listener was attached
+    chrome.tabs.get(tabId, (tab) => {
+      if (!chrome.runtime.lastError && tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Opens a wishlist in an inactive tab, scrapes it and closes the tab again
+ * @param {string} url - Wishlist URL
+ * @param {Object} [options] - { onProgress, signal } as for injectAndScrape()
+ * @returns {Promise<Object>} - Scrape response from the content script
+ */
+async function scrapeInBackgroundTab(url, options) {
+  const tab = await chrome.tabs.create({ url: url, active: false });
+  try {
+    await waitForTabComplete(tab.id);
+    return await injectAndScrape(tab.id, options);
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Saves a history snapshot without letting storage errors fail the scrape
+ * @param {Object} list - List info ({ id, name, url, marketplace })
+ * @param {Array} items - Scraped items
+ * @returns {Promise<Object|null>} - The stored snapshot, or null if it couldn't be saved
+ */
+async function recordSnapshot(list, items) {
+  try {
+    return await saveSnapshot(list, items);
+  } catch (error) {
+    console.warn('Failed to save snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Records a complete scrape: saves its history snapshot and pushes it to the webhook
+ * The delivery isn't awaited, so a slow endpoint doesn't hold up the scrape
+ * @param {Object} list - List info ({ id, name, url, marketplace, type? })
+ * @param {Array} items - Scraped items
+ * @param {string} trigger - What ran the scrape: 'manual' (popup or dashboard), 'allLists' or 'watch'
+ */
+async function recordCompletedScrape(list, items, trigger) {
+  const previous = await getLatestSnapshot(getListKey(list)).catch(() => null);
+  const snapshot = await recordSnapshot(list, items);
+  pushScrapeToWebhook(list, items, previous, snapshot, trigger).catch((error) => {
+    console.warn('Webhook delivery failed:', error);
+  });
+}
+
+/**
+ * Sends a completed scrape to the configured webhook, if one is enabled
+ * In diff mode the scrape is compared with the list's previous snapshot and
+ * nothing is sent when nothing changed; a list's first scrape has no previous
+ * snapshot, so every item shows up as added
+ * @param {Object} list - List info
+ * @param {Array} items - Scraped items
+ * @param {Object|null} previous - Snapshot taken before this scrape
+ * @param {Object|null} snapshot - Snapshot of this scrape
+ * @param {string} trigger - What ran the scrape
+ */
+async function pushScrapeToWebhook(list, items, previous, snapshot, trigger) {
+  const settings = await getWebhookSettings();
+  if (!settings.enabled || !settings.url) return;
+  
+  let diff = null;
+  if (settings.mode === 'diff') {
+    const current = snapshot || {
+      id: '',
+      takenAt: new Date().toISOString(),
+      listId: list.id,
+      listName: list.name,
+      marketplace: list.marketplace,
+      items: items
+    };
+    diff = diffSnapshots(previous || { id: '', takenAt: '', items: [] }, current);
+    if (previous && diff.changes.length === 0) return;
+  }
+  
+  const payload = buildWebhookPayload({
+    event: 'scrape.completed',
+    trigger: trigger,
+    mode: settings.mode,
+    list: list,
+    snapshot: snapshot,
+    items: items,
+    diff: diff
+  });
+  await deliverWebhook(payload, settings);
+}
+
+/**
+ * POSTs a payload to the webhook and logs the delivery, pending until it is done
+ * Network errors, timeouts, 429 and 5xx responses are retried with exponential
+ * backoff; other 4xx responses mean the request itself is wrong, so they fail at once
+ * @param {Object} payload - Payload from buildWebhookPayload()
+ * @param {Object} settings - Webhook settings
+ * @returns {Promise<Object>} - The delivery log entry after the first attempt
+ */
+async function deliverWebhook(payload, settings) {
+  const entry = {
+    deliveryId: payload.deliveryId,
+    event: payload.event,
+    listName: payload.list.name,
+    mode: payload.mode,
+    url: settings.url,
+    status: 'pending',
+    httpStatus: null,
+    attempts: 0,
+    error: '',
+    startedAt: new Date().toISOString(),
+    finishedAt: '',
+    nextAttemptAt: ''
+  };
+  // Logged before the first attempt, so a delivery that never finishes still shows up
+  await saveWebhookLogEntry(entry);
+  
+  return attemptWebhookDelivery(payload, entry, settings);
+}
+
+/**
+ * Makes one delivery attempt and either finishes the log entry or schedules a retry
+ * Retries wait for an alarm with the payload kept in storage: the background
+ * worker is stopped when idle, which would lose a timer waiting minutes
+ * @param {Object} payload - Payload from buildWebhookPayload()
+ * @param {Object} entry - The delivery's log entry
+ * @param {Object} settings - Webhook settings
+ * @returns {Promise<Object>} - The updated log entry
+ */
+async function attemptWebhookDelivery(payload, entry, settings) {
+  const headers = { 'Content-Type': 'application/json' };
+  settings.headers.forEach((header) => {
+    headers[header.name] = header.value;
+  });
+  headers['X-Wishlist-Scraper-Schema'] = `${WEBHOOK_SCHEMA}@${WEBHOOK_SCHEMA_VERSION}`;
+  headers['X-Wishlist-Scraper-Delivery'] = payload.deliveryId;
+  
+  entry.attempts++;
+  entry.nextAttemptAt = '';
+  let retryable = true;
+  try {
+    const response = await fetch(settings.url, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(30000)
+    });
+    entry.httpStatus = response.status;
+    if (response.ok) {
+      entry.status = 'delivered';
+      entry.error = '';
+      retryable = false;
+    } else {
+      entry.error = `HTTP ${response.status} ${response.statusText}`.trim();
+      retryable = response.status === 429 || response.status >= 500;
+    }
+  } catch (error) {
+    entry.httpStatus = null;
+    entry.error = error.name === 'TimeoutError' ? t('errWebhookTimeout', 30) : error.message;
+  }
+  
+  if (retryable && entry.attempts <= settings.maxRetries) {
+    // Chrome doesn't fire alarms sooner than 30 seconds
+    const delaySeconds = Math.max(settings.retryDelaySeconds * 2 ** (entry.attempts - 1), 30);
+    const when = Date.now() + delaySeconds * 1000;
+    entry.nextAttemptAt = new Date(when).toISOString();
+    await savePendingWebhook(payload, entry);
+    chrome.alarms.create(`${WEBHOOK_ALARM_PREFIX}${entry.deliveryId}`, { when: when });
+  } else {
+    if (entry.status !== 'delivered') {
+      entry.status = 'failed';
+    }
+    entry.finishedAt = new Date().toISOString();
+  }
+  await saveWebhookLogEntry(entry);
+  return entry;
+}
+
+/**
+ * Makes the next attempt of a delivery waiting for a retry
+ * The current settings are used, so a corrected URL or header applies to retries
+ * @param {string} deliveryId - Delivery ID from the payload
+ */
+async function retryWebhookDelivery(deliveryId) {
+  const delivery = await takePendingWebhook(deliveryId);
+  if (!delivery) return;
+  
+  const settings = await getWebhookSettings();
+  delivery.entry.url = settings.url;
+  await attemptWebhookDelivery(delivery.payload, delivery.entry, settings);
+}
+
+/**
+ * Sends a sample payload to the webhook so the receiver can be checked from the options page
+ * @returns {Promise<Object>} - The delivery log entry
+ */
+async function sendTestWebhook() {
+  const settings = await getWebhookSettings();
+  if (!settings.url) {
+    throw new Error(t('errNoWebhookUrl'));
+  }
+  
+  const items = [{
+    ...Object.fromEntries(ITEM_COLUMNS.map(column => [column.id, null])),
+    name: 'Sample item',
+    asin: 'B000000000',
+    price: 19.99,
+    currency: 'USD',
+    priceText: '$19.99',
+    url: 'https://www.amazon.com/dp/B000000000',
+    marketplace: 'amazon.com',
+    listId: 'TEST',
+    listName: 'Webhook test'
+  }];
+  const list = { id: 'TEST', name: 'Webhook test', url: '', marketplace: 'amazon.com', type: 'wishlist' };
+  const snapshot = { id: `${Date.now()}`, takenAt: new Date().toISOString(), items: items };
+  const payload = buildWebhookPayload({
+    event: 'test',
+    trigger: 'test',
+    mode: settings.mode,
+    list: list,
+    snapshot: snapshot,
+    items: items,
+    diff: diffSnapshots({ id: '', takenAt: '', items: [] }, { ...snapshot, listId: list.id, listName: list.name })
+  });
+  // Tests report back right away instead of retrying in the background
+  return deliverWebhook(payload, { ...settings, maxRetries: 0 });
+}
+
+/**
+ * Discovers every wishlist linked from the wishlist sidebar and scrapes
+ * each one in turn in a background tab
+ * Cancelling keeps the lists finished so far and the part of the current one
+ * @param {number} tabId - Tab showing one of the account's wishlists
+ * @param {Object} [options] - { onProgress, signal }; progress messages also carry
+ *   { list, listIndex, listCount }
+ * @returns {Promise<Object>} - { success, items, cancelled?, lists: [{ list, itemCount, items, error,
+ *   errorCode, diagnostics? }] }
+ */
+async function scrapeAllLists(tabId, options = {}) {
+  const { onProgress, signal } = options;
+  const discovery = await injectAndSend(tabId, { action: 'discoverWishlists' });
+  if (!discovery.success) {
+    return discovery;
+  }
+  if (discovery.lists.length === 0) {
+    return { success: false, error: t('errNoSidebarLists'), errorCode: ERROR_CODES.NOT_WISHLIST };
+  }
+  
+  const lists = [];
+  const items = [];
+  
+  for (const [listIndex, list] of discovery.lists.entries()) {
+    if (signal?.aborted) break;
+    
+    let response = null;
+    try {
+      response = await scrapeInBackgroundTab(list.url, {
+        signal: signal,
+        onProgress: onProgress && (progress => onProgress({
+          ...progress,
+          list: list,
+          listIndex: listIndex,
+          listCount: discovery.lists.length
+        }))
+      });
+      if (!response.success) {
+        throw createScrapeError(response.errorCode, response.error || t('scrapeFailed'));
       }
       
-      try {
-        const response = await injectAndScrape(tab.id);
-        sendResponse(response);
-      } catch (error) {
-        sendResponse({ success: false, error: error.message || 'Unknown error occurred' });
+      // Prefer the sidebar name, which is what the user sees in the list menu
+      const listItems = response.items.map(item => ({ ...item, listId: list.id, listName: list.name }));
+      items.push(...listItems);
+      lists.push({
+        list: list,
+        itemCount: listItems.length,
+        items: listItems,
+        error: '',
+        errorCode: '',
+        diagnostics: response.diagnostics
+      });
+      // A partial list would show up as removed items in the history
+      if (!response.cancelled) {
+        await recordCompletedScrape(list, listItems, 'allLists');
       }
+    } catch (error) {
+      const { error: message, errorCode } = toErrorResponse(error);
+      lists.push({
+        list: list,
+        itemCount: 0,
+        items: [],
+        error: message,
+        errorCode: errorCode,
+        diagnostics: response?.diagnostics
+      });
+    }
+  }
+  
+  const result = { success: true, items: items, lists: lists };
+  if (signal?.aborted) {
+    result.cancelled = true;
+  }
+  return result;
+}
+
+/**
+ * Creates, updates or clears alarms so they match the enabled watches
+ */
+async function syncWatchAlarms() {
+  const watches = (await getWatches()).filter(watch => watch.enabled);
+  const wanted = new Map(watches.map(watch => [WATCH_ALARM_PREFIX + watch.id, watch]));
+  const alarms = await chrome.alarms.getAll();
+  
+  for (const alarm of alarms) {
+    if (!alarm.name.startsWith(WATCH_ALARM_PREFIX)) continue;
+    const watch = wanted.get(alarm.name);
+    if (watch && alarm.periodInMinutes === watch.intervalMinutes) {
+      wanted.delete(alarm.name); // Already scheduled correctly
+    } else {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  
+  wanted.forEach((watch, alarmName) => {
+    chrome.alarms.create(alarmName, {
+      delayInMinutes: watch.intervalMinutes,
+      periodInMinutes: watch.intervalMinutes
+    });
+  });
+}
+
+/**
+ * Re-scrapes a watched wishlist, compares it with the last snapshot
+ * and notifies about price drops and restocks
+ * @param {string} watchId - Watch ID
+ * @returns {Promise<Object>} - { success, alerts } or { success: false, error, errorCode? }
+ */
+async function runWatch(watchId) {
+  if (runningWatches.has(watchId)) {
+    return { success: false, error: t('errWatchRunning') };
+  }
+  
+  const watch = await getWatch(watchId);
+  if (!watch) {
+    return { success: false, error: t('errWatchNotFound') };
+  }
+  
+  runningWatches.add(watchId);
+  const checkedAt = new Date().toISOString();
+  
+  try {
+    const response = await scrapeInBackgroundTab(watch.url);
+    if (!response.success) {
+      throw createScrapeError(response.errorCode, response.error || t('scrapeFailed'));
+    }
+    
+    const previous = await getLatestSnapshot(watch.id);
+    const alerts = previous ? evaluateWatch(watch, previous.items, response.items) : [];
+    
+    await recordCompletedScrape({
+      id: watch.listId,
+      name: response.list?.name || watch.name,
+      url: watch.url,
+      marketplace: watch.marketplace,
+      type: response.list?.type
+    }, response.items, 'watch');
+    await appendAlerts(alerts);
+    alerts.forEach(showAlertNotification);
+    await updateWatch(watch.id, { lastCheckedAt: checkedAt, lastError: '', lastErrorCode: '' });
+    
+    return { success: true, alerts: alerts };
+  } catch (error) {
+    const response = toErrorResponse(error);
+    await updateWatch(watch.id, { lastCheckedAt: checkedAt, lastError: response.error, lastErrorCode: response.errorCode });
+    return response;
+  } finally {
+    runningWatches.delete(watchId);
+  }
+}
+
+/**
+ * Shows a desktop notification for a watch alert
+ * @param {Object} alert - Alert from evaluateWatch()
+ */
+function showAlertNotification(alert) {
+  chrome.notifications.create(`alert:${alert.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+    title: alert.name,
+    message: alert.message,
+    contextMessage: alert.listName
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(WATCH_ALARM_PREFIX)) {
+    runWatch(alarm.name.slice(WATCH_ALARM_PREFIX.length));
+  } else if (alarm.name.startsWith(WEBHOOK_ALARM_PREFIX)) {
+    retryWebhookDelivery(alarm.name.slice(WEBHOOK_ALARM_PREFIX.length)).catch((error) => {
+      console.warn('Webhook delivery failed:', error);
     });
+  }
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith('alert:')) return;
+  
+  // Open the product page the alert is about
+  const alertId = notificationId.slice('alert:'.length);
+  const alert = (await getAlertLog()).find(entry => entry.id === alertId);
+  if (alert && alert.url) {
+    chrome.tabs.create({ url: alert.url });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// Keep alarms in step with the stored watches
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[WATCHES_KEY]) {
+    syncWatchAlarms();
+  }
+});
+chrome.runtime.onInstalled.addListener(syncWatchAlarms);
+chrome.runtime.onStartup.addListener(syncWatchAlarms);
+
+/**
+ * Adds the "Add to collection" entry to the context menu on Amazon pages
+ * Menu entries persist, so this only runs on install and update
+ */
+function createContextMenus() {
+  chrome.contextMenus.create({
+    id: COLLECT_MENU_ID,
+    title: t('collectMenuTitle'),
+    contexts: ['page', 'link', 'image'],
+    documentUrlPatterns: MARKETPLACES.map(marketplace => `${getMarketplaceOrigin(marketplace)}/*`)
+  });
+}
+
+/**
+ * Adds the right-clicked product to the collection and confirms with a notification
+ * The ASIN comes from the clicked link, or from the page itself on a product page
+ * @param {Object} info - Context menu click info
+ * @param {Object} tab - Tab the menu was opened in
+ */
+async function collectFromContextMenu(info, tab) {
+  const asin = extractASIN(info.linkUrl || '') || extractASIN(info.pageUrl || '');
+  let response;
+  if (!asin) {
+    response = { success: false, error: t('errNoProductLink') };
+  } else {
+    const profile = await getSelectorProfile();
+    response = await injectAndSend(tab.id, { action: 'collectItem', asin: asin, profile: profile });
+  }
+  
+  if (!response.success) {
+    showCollectionNotification(t('collectFailed'), response.error || t('errUnknown'));
+    return;
+  }
+  
+  const result = await addToCollection(response.item);
+  showCollectionNotification(
+    result.isNew ? t('collectAdded') : t('collectUpdated'),
+    result.item.name,
+    tPlural('itemsCollected', result.count)
+  );
+}
+
+/**
+ * Shows a desktop notification about a context-menu pick
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @param {string} [contextMessage] - Secondary text
+ */
+function showCollectionNotification(title, message, contextMessage = '') {
+  chrome.notifications.create(`collection:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+    title: title,
+    message: message,
+    contextMessage: contextMessage
+  });
+}
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === COLLECT_MENU_ID) {
+    collectFromContextMenu(info, tab);
+  }
+});
+
+/**
+ * Shows a tab's scrape status on the toolbar icon: the item count, or "!" after an error
+ * @param {Object} job - Scrape job
+ */
+function updateScrapeBadge(job) {
+  let count = job.items.length;
+  if (job.response && job.response.success) {
+    count = job.response.items.length;
+  }
+  
+  let text = count > 999 ? '999+' : String(count);
+  if (job.status === 'error') {
+    text = '!';
+  } else if (job.status === 'running' && count === 0) {
+    text = '...';
+  }
+  
+  chrome.action.setBadgeText({ tabId: job.tabId, text: text });
+  chrome.action.setBadgeBackgroundColor({ tabId: job.tabId, color: BADGE_COLORS[job.status] });
+}
+
+/**
+ * Stores a job and updates the badge, without letting storage errors end the scrape
+ * @param {Object} job - Scrape job
+ */
+async function recordScrapeJob(job) {
+  updateScrapeBadge(job);
+  try {
+    await saveScrapeJob(job);
+  } catch (error) {
+    console.warn('Failed to save scrape job:', error);
+  }
+}
+
+/**
+ * Sends a message to every popup following a scrape
+ * @param {Object} scrape - Entry from activeScrapes
+ * @param {Object} data - Progress or result message
+ */
+function postToScrapePorts(scrape, data) {
+  scrape.ports.forEach((port) => {
+    try {
+      port.postMessage(data);
+    } catch (error) {
+      scrape.ports.delete(port);
+    }
+  });
+}
+
+/**
+ * Starts a scrape job for a tab
+ * The job keeps running when the popup closes; its progress, partial items and
+ * final response are kept in session storage for the next time the popup opens
+ * @param {Object} tab - Tab to scrape
+ * @param {string} action - 'scrapeWishlist' or 'scrapeAllLists'
+ * @returns {Object} - The new entry in activeScrapes
+ */
+function startScrapeJob(tab, action) {
+  const scrape = {
+    job: createScrapeJob(tab.id, action, tab.url),
+    controller: new AbortController(),
+    ports: new Set()
+  };
+  activeScrapes.set(tab.id, scrape);
+  runScrapeJob(scrape);
+  return scrape;
+}
+
+/**
+ * Runs a started scrape job to the end
+ * @param {Object} scrape - Entry from activeScrapes
+ */
+async function runScrapeJob(scrape) {
+  const { job, controller } = scrape;
+  await recordScrapeJob(job);
+  
+  const options = {
+    signal: controller.signal,
+    onProgress: (progress) => {
+      const { type, newItems, ...status } = progress;
+      job.items.push(...newItems);
+      job.progress = { ...status, receivedAt: Date.now() };
+      recordScrapeJob(job);
+      postToScrapePorts(scrape, progress);
+    }
+  };
+  
+  let response;
+  try {
+    response = job.action === 'scrapeAllLists'
+      ? await scrapeAllLists(job.tabId, options)
+      : await injectAndScrape(job.tabId, options);
+    
+    // Keep a dated snapshot of every complete scrape
+    if (response.success && response.list && !response.cancelled) {
+      await recordCompletedScrape(response.list, response.items, 'manual');
+    }
+  } catch (error) {
+    response = toErrorResponse(error);
+  }
+  
+  job.status = !response.success ? 'error' : response.cancelled ? 'cancelled' : 'done';
+  job.finishedAt = new Date().toISOString();
+  job.response = response;
+  // The response holds the final items
+  job.items = [];
+  // Store the outcome before dropping the entry, so a popup attaching in between
+  // doesn't find the job still marked as running
+  await recordScrapeJob(job);
+  activeScrapes.delete(job.tabId);
+  postToScrapePorts(scrape, { type: 'result', response: response });
+}
+
+/**
+ * Sends a popup the outcome of a tab's last scrape when it is no longer running
+ * @param {Object} port - Popup port
+ * @param {number} tabId - Tab ID
+ */
+async function postStoredScrapeResult(port, tabId) {
+  const job = await getScrapeJob(tabId);
+  if (!job) {
+    port.postMessage({ type: 'result', response: { success: false, error: t('errNoScrapeForTab') } });
+    return;
+  }
+  
+  if (job.status === 'running') {
+    // Still marked as running, so the worker was stopped in the middle of it
+    job.status = 'error';
+    job.finishedAt = new Date().toISOString();
+    job.response = {
+      success: false,
+      error: t('errInterrupted'),
+      errorCode: ERROR_CODES.CONNECTION_LOST
+    };
+    job.items = [];
+    await recordScrapeJob(job);
+  }
+  port.postMessage({ type: 'result', response: job.response });
+}
+
+// Scrapes requested by the popup run over a port: the popup posts
+// { action: 'scrapeWishlist' | 'scrapeAllLists', tabId } to start a job,
+// { action: 'attach', tabId } to follow the tab's running job after reopening,
+// and { action: 'cancel' } to stop it. It gets { type: 'progress', ... } messages
+// followed by one { type: 'result', response }.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== SCRAPE_PORT_NAME) return;
+  
+  let scrape = null;
+  
+  port.onDisconnect.addListener(() => {
+    scrape?.ports.delete(port);
+  });
+  port.onMessage.addListener(async (message) => {
+    if (message.action === 'cancel') {
+      scrape?.controller.abort();
+      return;
+    }
+    
+    if (message.action === 'attach') {
+      scrape = activeScrapes.get(message.tabId) || null;
+      if (scrape) {
+        scrape.ports.add(port);
+      } else {
+        await postStoredScrapeResult(port, message.tabId);
+      }
+      return;
+    }
+    
+    if (message.action !== 'scrapeWishlist' && message.action !== 'scrapeAllLists') return;
+    
+    const tab = await chrome.tabs.get(message.tabId).catch(() => null);
+    if (!tab) {
+      port.postMessage({ type: 'result', response: { success: false, error: t('noActiveTab') } });
+      return;
+    }
+    
+    // Check if we're on a supported Amazon marketplace
+    if (!isAmazonUrl(tab.url)) {
+      port.postMessage({
+        type: 'result',
+        response: {
+          success: false,
+          error: t('navigateToListPage'),
+          errorCode: ERROR_CODES.NOT_WISHLIST
+        }
+      });
+      return;
+    }
+    
+    // A second popup joins the tab's running scrape instead of starting another
+    scrape = activeScrapes.get(tab.id) || startScrapeJob(tab, message.action);
+    scrape.ports.add(port);
+  });
+});
+
+// A finished job belongs to the page it was run on
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url && !activeScrapes.has(tabId)) {
+    chrome.action.setBadgeText({ tabId: tabId, text: '' });
+    clearScrapeJob(tabId);
+  }
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearScrapeJob(tabId);
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'checkWatch') {
+    runWatch(message.watchId).then(sendResponse);
     return true; // Keep channel open for async response
   }
   
+  if (message.action === 'testWebhook') {
+    sendTestWebhook()
+      .then(entry => sendResponse({ success: entry.status === 'delivered', entry: entry }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
   // Handle other future actions here
   return false;
 });
@@ -0,0 +1,59 @@
+// Add-to-cart links for Amazon Wishlist Scraper
+// Builds Amazon's multi-item add-to-cart URLs (ASIN.n / Quantity.n) for picked items
+
+// Most items one add-to-cart request may carry; larger selections are split into batches
+const MAX_CART_LINK_ITEMS = 50;
+
+/**
+ * Returns the marketplace an item was scraped from, by its marketplace field or its URL
+ * @param {Object} item - Item object
+ * @returns {Object|null} - Marketplace definition
+ */
+function getItemMarketplace(item) {
+  return getMarketplaceByDomain(item.marketplace || '') || getMarketplaceFromUrl(item.url || '');
+}
+
+/**
+ * Builds the add-to-cart URLs for items, one group per marketplace and batch
+ * Each item is added once per copy the owner still needs, at least one; an ASIN
+ * picked twice (e.g. from two lists) is added once with the larger quantity
+ * @param {Array} items - Item objects
+ * @returns {Object} - { links: [{ marketplace, url, itemCount }], skipped } where
+ *   skipped counts the items without an ASIN or a known marketplace
+ */
+function buildCartLinks(items) {
+  const byMarketplace = new Map();
+  let skipped = 0;
+  items.forEach((item) => {
+    const marketplace = getItemMarketplace(item);
+    if (!item.asin || !marketplace) {
+      skipped++;
+      return;
+    }
+    if (!byMarketplace.has(marketplace)) {
+      byMarketplace.set(marketplace, new Map());
+    }
+    const quantities = byMarketplace.get(marketplace);
+    const quantity = Math.max(1, getStillNeeded(item));
+    quantities.set(item.asin, Math.max(quantities.get(item.asin) || 0, quantity));
+  });
+
+  const links = [];
+  byMarketplace.forEach((quantities, marketplace) => {
+    const entries = Array.from(quantities);
+    for (let start = 0; start < entries.length; start += MAX_CART_LINK_ITEMS) {
+      const batch = entries.slice(start, start + MAX_CART_LINK_ITEMS);
+      const params = new URLSearchParams();
+      batch.forEach(([asin, quantity], index) => {
+        params.append(`ASIN.${index + 1}`, asin);
+        params.append(`Quantity.${index + 1}`, String(quantity));
+      });
+      links.push({
+        marketplace: marketplace.domain,
+        url: `${getMarketplaceOrigin(marketplace)}/gp/aws/cart/add.html?${params}`,
+        itemCount: batch.length
+      });
+    }
+  });
+  return { links: links, skipped: skipped };
+}
@@ -0,0 +1,193 @@
+// Printable gift catalog for Amazon Wishlist Scraper
+// Builds a self-contained HTML page with embedded thumbnails for sharing or printing
+
+const CATALOG_LAYOUTS = ['grid', 'list'];
+const CATALOG_IMAGE_CONCURRENCY = 4;
+
+const CATALOG_CSS = `
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; font-family: Georgia, 'Times New Roman', serif; color: #1f2937; background: #fff; }
+header { margin-bottom: 24px; border-bottom: 2px solid #1f2937; padding-bottom: 8px; }
+h1 { margin: 0 0 4px; font-size: 28px; }
+h2 { margin: 32px 0 12px; font-size: 20px; }
+.subtitle { color: #6b7280; font-size: 14px; }
+.items.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+.items.list { display: flex; flex-direction: column; gap: 12px; }
+.item { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; break-inside: avoid; page-break-inside: avoid; }
+.grid .item { display: flex; flex-direction: column; gap: 8px; }
+.list .item { display: flex; gap: 16px; align-items: flex-start; }
+.thumb { display: flex; align-items: center; justify-content: center; flex-shrink: 0; }
+.grid .thumb { height: 160px; }
+.list .thumb { width: 100px; height: 100px; }
+.thumb img { max-width: 100%; max-height: 100%; object-fit: contain; }
+.details { display: flex; flex-direction: column; gap: 4px; flex: 1; }
+.name { font-size: 15px; font-weight: bold; line-height: 1.3; }
+.price { font-size: 16px; }
+.meta { font-size: 13px; color: #4b5563; }
+.comment { font-size: 13px; font-style: italic; color: #374151; }
+.buy { display: inline-block; margin-top: 4px; padding: 4px 12px; border-radius: 4px; background: #f59e0b; color: #111827; font-size: 13px; text-decoration: none; align-self: flex-start; }
+footer { margin-top: 32px; font-size: 12px; color: #9ca3af; }
+@media print {
+  body { padding: 0; }
+  .items.grid { grid-template-columns: repeat(3, 1fr); }
+  .item { border-color: #d1d5db; }
+  .buy { background: none; border: 1px solid #1f2937; }
+  a { color: inherit; }
+}
+@page { margin: 15mm; }
+`;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Downloads an image and returns it as a data URI
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} - Data URI, or empty string if it could not be fetched
+ */
+async function fetchImageAsDataUri(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return '';
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve('');
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.warn('Could not embed image:', url, error);
+    return '';
+  }
+}
+
+/**
+ * Fetches the images of all items, a few at a time
+ * @param {Array} items - Wishlist items
+ * @param {Function} [fetchImage] - Fetches one image URL; empty results count as failed
+ * @returns {Promise<Map>} - Image URL -> data URI, or whatever fetchImage returns
+ *   (only successfully fetched images)
+ */
+async function embedItemImages(items, fetchImage = fetchImageAsDataUri) {
+  const urls = [...new Set(items.map(item => item.image).filter(url => /^https?:\/\//.test(url || '')))];
+  const images = new Map();
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      const image = await fetchImage(url);
+      if (image) images.set(url, image);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CATALOG_IMAGE_CONCURRENCY, urls.length) }, worker));
+  return images;
+}
+
+/**
+ * Builds the HTML for a single catalog entry
+ * @param {Object} item - Wishlist item
+ * @param {Map} images - Embedded images from embedItemImages()
+ * @returns {string}
+ */
+function buildCatalogItemHtml(item, images) {
+  const price = item.priceText || formatPriceAmount(item.price, item.currency);
+  // Images that could not be embedded keep their remote URL so the page still works online
+  const imageSrc = images.get(item.image) || item.image || '';
+  const meta = [];
+
+  if (item.priority) {
+    meta.push(escapeHtml(t('catalogPriority', item.priority)));
+  }
+  if (typeof item.requestedQuantity === 'number') {
+    const purchased = typeof item.purchasedQuantity === 'number' ? item.purchasedQuantity : 0;
+    const wanted = t('catalogWanted', item.requestedQuantity);
+    meta.push(escapeHtml(purchased > 0 ? `${wanted} ${t('catalogAlreadyBought', purchased)}` : wanted));
+  }
+  if (typeof item.plannedQuantity === 'number') {
+    meta.push(escapeHtml(t('catalogBuy', item.plannedQuantity)));
+  }
+  if (item.variant) {
+    meta.push(escapeHtml(item.variant));
+  }
+
+  return `<article class="item">
+  <div class="thumb">${imageSrc ? `<img src="${escapeHtml(imageSrc)}" alt="">` : ''}</div>
+  <div class="details">
+    <div class="name">${escapeHtml(item.name || item.asin)}</div>
+    ${price ? `<div class="price">${escapeHtml(price)}</div>` : ''}
+    ${meta.length > 0 ? `<div class="meta">${meta.join(' &middot; ')}</div>` : ''}
+    ${item.comment ? `<div class="comment">&ldquo;${escapeHtml(item.comment)}&rdquo;</div>` : ''}
+    ${item.url ? `<a class="buy" href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${escapeHtml(t('buyOnAmazon'))}</a>` : ''}
+  </div>
+</article>`;
+}
+
+/**
+ * Builds a self-contained gift catalog page
+ * Items from several lists are shown in one section per list
+ * @param {Array} items - Wishlist items
+ * @param {Object} options - { layout: 'grid'|'list', title, images }
+ * @returns {string} - Complete HTML document
+ */
+function buildCatalogHTML(items, options = {}) {
+  const layout = CATALOG_LAYOUTS.includes(options.layout) ? options.layout : 'grid';
+  const images = options.images || new Map();
+
+  const sections = new Map();
+  items.forEach((item) => {
+    const key = item.listId || '';
+    if (!sections.has(key)) {
+      sections.set(key, { name: getItemListName(item), items: [] });
+    }
+    sections.get(key).items.push(item);
+  });
+
+  const title = options.title ||
+    (sections.size === 1 && getItemListName(items[0]) ? getItemListName(items[0]) : t('pageType_wishlist'));
+  const showSectionTitles = sections.size > 1;
+
+  const body = [...sections.values()].map(section => `
+<section>
+  ${showSectionTitles ? `<h2>${escapeHtml(section.name || t('pageType_wishlist'))}</h2>` : ''}
+  <div class="items ${layout}">
+${section.items.map(item => buildCatalogItemHtml(item, images)).join('\n')}
+  </div>
+</section>`).join('\n');
+
+  const date = new Date().toLocaleDateString();
+  const itemLabel = tPlural('itemCount', items.length);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(chrome.i18n.getUILanguage())}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${CATALOG_CSS}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="subtitle">${escapeHtml(itemLabel)} &middot; ${escapeHtml(date)}</div>
+</header>
+${body}
+<footer>${escapeHtml(t('catalogFooter', date))}</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,79 @@
+// Item collection for Amazon Wishlist Scraper
+// Products picked off product and search pages with the context menu; shared by
+// the background worker, which adds them, the popup, which shows and exports them,
+// and the dashboard
+
+const COLLECTION_KEY = 'collection';
+
+// List the collected items are tagged with, like items from "Scrape All My Lists"
+const COLLECTION_LIST = {
+  id: 'collection',
+  name: 'Collection'
+};
+
+/**
+ * Returns the list name to show for an item
+ * Collected items are stored with the English name of COLLECTION_LIST and shown
+ * with the browser's language instead
+ * @param {Object} item - Item object
+ * @returns {string} - List name, or empty string for items without one
+ */
+function getItemListName(item) {
+  return item.listId === COLLECTION_LIST.id ? t('collection') : item.listName || '';
+}
+
+/**
+ * Returns the collected items, oldest first
+ * @returns {Promise<Array>} - Items in the shape of extractItemData()
+ */
+async function getCollection() {
+  const data = await chrome.storage.local.get(COLLECTION_KEY);
+  return data[COLLECTION_KEY] || [];
+}
+
+/**
+ * Adds an item to the collection
+ * Collecting an ASIN again refreshes its data but keeps its place and date added.
+ * Product pages don't have a date added, so the day of collecting is used
+ * @param {Object} item - Item from extractItemData() or extractProductPageItem()
+ * @returns {Promise<Object>} - { item, isNew, count }
+ */
+async function addToCollection(item) {
+  const items = await getCollection();
+  const index = items.findIndex(existing => existing.asin === item.asin);
+  const existing = index >= 0 ? items[index] : null;
+
+  const collected = {
+    ...item,
+    dateAdded: existing?.dateAdded || item.dateAdded || new Date().toISOString().slice(0, 10),
+    listId: COLLECTION_LIST.id,
+    listName: COLLECTION_LIST.name
+  };
+
+  if (existing) {
+    items[index] = collected;
+  } else {
+    items.push(collected);
+  }
+  await chrome.storage.local.set({ [COLLECTION_KEY]: items });
+  return { item: collected, isNew: !existing, count: items.length };
+}
+
+/**
+ * Removes items from the collection
+ * @param {Array<string>} asins - ASINs to remove
+ * @returns {Promise<Array>} - The remaining items
+ */
+async function removeFromCollection(asins) {
+  const remove = new Set(asins);
+  const items = (await getCollection()).filter(item => !remove.has(item.asin));
+  await chrome.storage.local.set({ [COLLECTION_KEY]: items });
+  return items;
+}
+
+/**
+ * Empties the collection
+ */
+async function clearCollection() {
+  await chrome.storage.local.remove(COLLECTION_KEY);
+}
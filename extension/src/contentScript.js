@@ -1,76 +1,118 @@
 // Content script for Amazon Wishlist Scraper
-// Scrapes wishlist items from the DOM
+// Scrapes the live wishlist, cart, registry or Idea List page: pagination, list
+// discovery and messaging, and picks single products off other pages for the collection
+// (item extraction itself lives in extractor.js)
+
+// Name of the port the background worker opens to stream a scrape
+// (same value as in scrapeJobs.js, which content scripts don't load)
+var SCRAPE_PORT_NAME = 'scrapeWishlist';
 
 /**
  * Main function to scrape wishlist items from Amazon page
- * Handles lazy loading by scrolling to bottom and waiting for new items
+ * Follows the wishlist's own pagination links and parses each page directly,
+ * falling back to scrolling when the page offers no continuation link.
+ * Carts, registries and Idea Lists are read with their own extractors; carts
+ * show everything at once, the others are scrolled to load more
+ * @param {Object} profile - Selector profile (see src/selectors/default.json)
+ * @param {Object} [diagnostics] - Report from createScrapeDiagnostics() to fill in
+ * @param {Object} [options] - { onProgress, signal }: onProgress is called after
+ *   every page or scroll with { newItems, itemCount, page, strategy, elapsedMs };
+ *   aborting signal stops loading and returns the items collected so far
  * @returns {Promise<Array>} - Array of wishlist item objects
  */
-async function scrapeWishlist() {
+async function scrapeWishlist(profile, diagnostics, options = {}) {
+  const { onProgress, signal } = options;
+  const startTime = Date.now();
+  
   try {
-    // Check if we're on a wishlist page
-    if (!isWishlistPage()) {
-      throw new Error('Not on an Amazon wishlist page');
+    // Robot checks, sign-in forms and error pages can stand in for any page
+    const blocked = detectBlockedPage(document, window.location.href);
+    if (blocked) {
+      throw blocked;
     }
     
-    // Check for private wishlist
-    if (isPrivateWishlist()) {
-      throw new Error('This wishlist is private and cannot be scraped');
+    // Check if we're on a list page we can read
+    const pageType = detectPageType(document, window.location.href);
+    if (!pageType) {
+      throw createScrapeError(ERROR_CODES.NOT_WISHLIST, t('errNotListPage'));
+    }
+    
+    const marketplace = getMarketplaceFromUrl(window.location.href);
+    if (!marketplace) {
+      throw createScrapeError(ERROR_CODES.UNSUPPORTED_MARKETPLACE, t('errUnsupportedMarketplace'));
     }
     
     const items = [];
     const seenIds = new Set();
-    let previousItemCount = 0;
-    let scrollAttempts = 0;
-    const maxScrollAttempts = 10;
+    let page = 0;
     
-    // Function to extract items from current DOM state
-    const extractItems = () => {
-      const itemElements = findWishlistItems();
-      const newItems = [];
-      
-      itemElements.forEach((element) => {
-        try {
-          const item = extractItemData(element);
-          if (item && item.asin && !seenIds.has(item.asin)) {
-            seenIds.add(item.asin);
-            newItems.push(item);
-          }
-        } catch (err) {
-          console.warn('Error extracting item:', err);
-        }
-      });
+    // Function to extract new items from a document or page fragment
+    const extractItems = (root) => {
+      const newItems = extractPageItems(root, pageType, marketplace, profile, seenIds, diagnostics);
+      items.push(...newItems);
+      page++;
       
+      if (onProgress) {
+        onProgress({
+          newItems: newItems,
+          itemCount: items.length,
+          page: page,
+          strategy: pageType.id === 'wishlist' ? matchWishlistItems(root, profile).strategy : pageType.id,
+          elapsedMs: Date.now() - startTime
+        });
+      }
       return newItems;
     };
     
     // Initial extraction
-    items.push(...extractItems());
+    extractItems(document);
     
-    // Handle lazy loading by scrolling
-    while (scrollAttempts < maxScrollAttempts) {
-      previousItemCount = items.length;
-      
-      // Scroll to bottom
-      window.scrollTo(0, document.body.scrollHeight);
-      
-      // Wait for new content to load
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Extract new items
-      const newItems = extractItems();
-      items.push(...newItems);
-      
-      // If no new items found, we're done
-      if (items.length === previousItemCount) {
-        break;
+    // Private lists and sign-in prompts say so up front, so don't scroll or paginate them
+    if (items.length === 0) {
+      const reason = explainMissingItems(document, window.location.href);
+      if (reason) {
+        throw reason;
       }
-      
-      scrollAttempts++;
     }
     
-    if (items.length === 0) {
-      throw new Error('No wishlist items found. The page structure may have changed.');
+    if (pageType.id !== 'wishlist') {
+      if (PAGE_EXTRACTORS[pageType.id].scroll && !signal?.aborted) {
+        await loadPagesByScrolling(extractItems, signal);
+      }
+      if (items.length === 0 && !signal?.aborted) {
+        throw createNoItemsError(pageType);
+      }
+      return items;
+    }
+    
+    const origin = getMarketplaceOrigin(marketplace);
+    const nextPageUrl = findNextPageUrl(document, origin);
+    let paginated = false;
+    
+    if (nextPageUrl) {
+      try {
+        await loadPagesByFetch(nextPageUrl, origin, extractItems, signal);
+        paginated = true;
+      } catch (error) {
+        // Robot checks, sign-in prompts and throttling fail the scrape so it isn't
+        // stored as a complete list; scrolling may still get past a network error
+        if (ERROR_CODES[error.code]) {
+          throw error;
+        }
+        if (!signal?.aborted) {
+          console.warn('Pagination failed, falling back to scrolling:', error);
+        }
+      }
+    }
+    
+    // Without continuation links (or if a fetch failed), scroll to trigger lazy loading
+    if (!paginated && !signal?.aborted && !isEndOfList(document)) {
+      await loadPagesByScrolling(extractItems, signal);
+    }
+    
+    // A cancelled scrape keeps whatever it collected, even nothing
+    if (items.length === 0 && !signal?.aborted) {
+      throw createNoItemsError(pageType);
     }
     
     return items;
@@ -81,381 +123,177 @@ async function scrapeWishlist() {
 }
 
 /**
- * Checks if current page is an Amazon wishlist page
- * @returns {boolean}
- */
-function isWishlistPage() {
-  const url = window.location.href;
-  const hasWishlistInUrl = /wishlist/i.test(url);
-  const hasWishlistElements = document.querySelector('#g-items, [data-wishlist], .a-unordered-list.a-nostyle.a-vertical');
-  return hasWishlistInUrl || !!hasWishlistElements;
-}
-
-/**
- * Checks if wishlist is private or inaccessible
- * @returns {boolean}
+ * Creates the error for a list page that yielded no items
+ * Without a session Amazon can show an empty page rather than a sign-in prompt,
+ * so a signed-out page counts as the reason; otherwise the selectors missed
+ * @param {Object} pageType - Page type from PAGE_TYPES
+ * @returns {Error} - Error with a code from ERROR_CODES
  */
-function isPrivateWishlist() {
-  // First, check if we can actually find wishlist items
-  // If we can find items, the wishlist is accessible (not private)
-  const testItems = findWishlistItems();
-  if (testItems.length > 0) {
-    return false; // We found items, so it's not private
-  }
-  
-  // Check for specific private wishlist error messages
-  const bodyText = document.body.textContent || '';
-  const pageHTML = document.body.innerHTML || '';
+function createNoItemsError(pageType) {
+  const name = t(`pageType_${pageType.id}`);
   
-  // Very specific indicators that a wishlist is private/inaccessible
-  const privateIndicators = [
-    'This list is private',
-    'This list is not available',
-    'You don\'t have permission',
-    'This list doesn\'t exist',
-    'We\'re sorry. The Web address you entered is not a functioning page',
-    'Sorry, we couldn\'t find that list'
-  ];
-  
-  // Check if any private indicator is present
-  for (const indicator of privateIndicators) {
-    if (bodyText.includes(indicator) || pageHTML.includes(indicator)) {
-      // Double-check: make sure we're not just on a loading page
-      // If the page has wishlist structure elements, it might just be loading
-      const hasWishlistStructure = document.querySelector('#g-items, [data-wishlist], .a-unordered-list.a-nostyle.a-vertical');
-      if (!hasWishlistStructure) {
-        return true; // No wishlist structure + error message = private
-      }
-    }
-  }
-  
-  // Check for sign-in prompts that are specifically about viewing the list
-  const signInPrompts = document.querySelectorAll('[data-action="sign-in"], .a-alert-error');
-  for (const prompt of signInPrompts) {
-    const promptText = prompt.textContent || '';
-    if (promptText.includes('view this list') || 
-        promptText.includes('access this list') ||
-        promptText.includes('private list')) {
-      return true;
-    }
+  if (isSignedOutPage(document)) {
+    return createScrapeError(ERROR_CODES.SIGNED_OUT, t('errNoItemsSignedOut', name));
   }
-  
-  return false; // Default to not private - let scraping attempt proceed
+  return createScrapeError(ERROR_CODES.SELECTOR_MISS, t('errNoItems', name));
 }
 
 /**
- * Finds all wishlist item elements using multiple selector strategies
- * @returns {NodeList|Array} - Collection of item elements
+ * Finds the continuation ("show more") URL in a wishlist page or page fragment
+ * @param {Document|HTMLElement} root - Page or fragment to search
+ * @param {string} origin - Marketplace origin for relative links
+ * @returns {string} - Absolute URL of the next page or empty string at the end
  */
-function findWishlistItems() {
-  // Strategy 1: Main wishlist container (#g-items)
-  let items = document.querySelectorAll('#g-items li[data-item-id], #g-items [data-item-id]');
-  if (items.length > 0) return items;
-  
-  // Strategy 2: Alternative container structure
-  items = document.querySelectorAll('[id*="item"] [data-item-id], [id*="item"] [data-asin]');
-  if (items.length > 0) return items;
+function findNextPageUrl(root, origin) {
+  if (isEndOfList(root)) return '';
   
-  // Strategy 3: Grid items
-  items = document.querySelectorAll('.a-unordered-list.a-nostyle.a-vertical li, .g-item-sortable');
-  if (items.length > 0) return items;
+  const showMoreInput = root.querySelector('input[name="showMoreUrl"]');
+  const showMoreLink = root.querySelector('a.wl-see-more, #wl-see-more a, a[href*="lek="]');
+  const href = showMoreInput?.value || showMoreLink?.getAttribute('href');
   
-  // Strategy 4: Generic product cards
-  items = document.querySelectorAll('[data-asin]:not([data-asin=""])');
-  if (items.length > 0) return items;
-  
-  return [];
+  return href ? toAbsoluteUrl(href, origin) : '';
 }
 
 /**
- * Extracts data from a single wishlist item element
- * @param {HTMLElement} element - DOM element containing item data
- * @returns {Object|null} - Item data object or null
+ * Checks whether a page or fragment marks the end of the list
+ * @param {Document|HTMLElement} root - Page or fragment to check
+ * @returns {boolean}
  */
-function extractItemData(element) {
-  // Extract ASIN
-  let asin = extractASINFromElement(element);
-  if (!asin) {
-    // Try to find ASIN in child elements
-    const asinElement = element.querySelector('[data-asin], [href*="/dp/"], [href*="/gp/product/"]');
-    if (asinElement) {
-      asin = extractASINFromElement(asinElement);
-    }
-    if (!asin) {
-      return null; // Can't extract without ASIN
-    }
-  }
-  
-  // Extract title/name
-  const name = extractItemName(element);
-  
-  // Extract price
-  const price = extractItemPrice(element);
-  
-  // Extract URL
-  const url = extractItemUrl(element);
-  
-  // Extract image/thumbnail
-  const image = extractItemImage(element);
-  
-  return {
-    name: name || 'Unknown Item',
-    asin: asin,
-    price: price || 'N/A',
-    url: url || `https://www.amazon.com/dp/${asin}`,
-    image: image || ''
-  };
+function isEndOfList(root) {
+  return !!root.querySelector('#endOfListMarker');
 }
 
 /**
- * Extracts ASIN from an element
- * @param {HTMLElement} element - DOM element
- * @returns {string} - ASIN or empty string
+ * Fetches and parses each continuation page until the list ends
+ * @param {string} firstUrl - URL of the second page
+ * @param {string} origin - Marketplace origin for relative links
+ * @param {Function} extractItems - Extracts items from a parsed page
+ * @param {AbortSignal} [signal] - Stops loading when aborted
  */
-function extractASINFromElement(element) {
-  // Try data-asin attribute
-  let asin = element.getAttribute('data-asin') || 
-             element.getAttribute('data-item-id') ||
-             element.closest('[data-asin]')?.getAttribute('data-asin');
+async function loadPagesByFetch(firstUrl, origin, extractItems, signal) {
+  // Safety net against continuation links that never end
+  const maxPages = 500;
+  const parser = new DOMParser();
+  const visited = new Set();
+  let nextUrl = firstUrl;
   
-  if (asin && /^[A-Z0-9]{10}$/i.test(asin)) {
-    return asin.toUpperCase();
-  }
-  
-  // Try extracting from href
-  const link = element.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]') || 
-               (element.tagName === 'A' ? element : null);
-  
-  if (link) {
-    const href = link.href || link.getAttribute('href');
-    if (href) {
-      const match = href.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?#]|$)/i);
-      if (match) return match[1].toUpperCase();
+  while (nextUrl && !visited.has(nextUrl) && visited.size < maxPages && !signal?.aborted) {
+    visited.add(nextUrl);
+    
+    const response = await fetch(nextUrl, {
+      credentials: 'include',
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      signal: signal
+    });
+    if (!response.ok) {
+      const message = t('errPageLoad', [visited.size + 1, response.status]);
+      if (response.status === 429 || response.status === 503) {
+        throw createScrapeError(ERROR_CODES.THROTTLED, message);
+      }
+      throw new Error(message);
+    }
+    
+    const page = parser.parseFromString(await response.text(), 'text/html');
+    // A robot check would otherwise read as an empty last page
+    const blocked = detectBlockedPage(page, nextUrl);
+    if (blocked) {
+      throw blocked;
     }
+    extractItems(page);
+    nextUrl = findNextPageUrl(page, origin);
   }
-  
-  return '';
 }
 
 /**
- * Extracts item name/title from element
- * @param {HTMLElement} element - DOM element
- * @returns {string} - Item name or empty string
+ * Scrolls to the bottom repeatedly to trigger lazy loading
+ * Stops when a scroll yields no new items or the end-of-list marker appears
+ * @param {Function} extractItems - Extracts new items from the document
+ * @param {AbortSignal} [signal] - Stops scrolling when aborted
  */
-function extractItemName(element) {
-  // Try multiple selectors for title
-  const titleSelectors = [
-    'h2 a span',
-    'h3 a span',
-    '[id*="itemName"]',
-    '.a-text-normal',
-    'a[id*="itemName"]',
-    '.a-link-normal',
-    'h2',
-    'h3'
-  ];
+async function loadPagesByScrolling(extractItems, signal) {
+  const maxScrollAttempts = 10;
   
-  for (const selector of titleSelectors) {
-    const titleEl = element.querySelector(selector);
-    if (titleEl) {
-      const text = titleEl.textContent?.trim();
-      if (text && text.length > 0) {
-        return text;
-      }
+  for (let attempt = 0; attempt < maxScrollAttempts; attempt++) {
+    // Scroll to bottom
+    window.scrollTo(0, document.body.scrollHeight);
+    
+    // Wait for new content to load
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    if (signal?.aborted) break;
+    
+    // If no new items found, we're done
+    const newItems = extractItems(document);
+    if (newItems.length === 0 || isEndOfList(document)) {
+      break;
     }
   }
-  
-  // Fallback: get first significant text
-  const allText = element.textContent?.trim();
-  if (allText && allText.length > 50) {
-    return allText.substring(0, 200).trim();
-  }
-  
-  return '';
 }
 
 /**
- * Extracts price from element
- * @param {HTMLElement} element - DOM element
- * @returns {string} - Price string or empty string
+ * Finds every wishlist linked from the "Your Lists" sidebar
+ * @returns {Array} - [{ id, name, url, marketplace }] in sidebar order
  */
-function extractItemPrice(element) {
-  // Try multiple price selectors
-  const priceSelectors = [
-    '.a-price .a-offscreen',
-    '.a-price-whole',
-    '[class*="price"]',
-    '.a-color-price',
-    '[data-price]'
-  ];
+function discoverWishlists() {
+  const marketplace = getMarketplaceFromUrl(window.location.href);
+  if (!marketplace) return [];
   
-  for (const selector of priceSelectors) {
-    const priceEl = element.querySelector(selector);
-    if (priceEl) {
-      // Try data-price attribute first
-      const dataPrice = priceEl.getAttribute('data-price');
-      if (dataPrice) {
-        return formatPrice(dataPrice);
-      }
-      
-      // Try text content
-      let priceText = priceEl.textContent?.trim();
-      if (priceText) {
-        // Extract price pattern ($XX.XX or XX.XX)
-        const priceMatch = priceText.match(/[\$]?([\d,]+\.?\d*)/);
-        if (priceMatch) {
-          return formatPrice(priceMatch[1]);
-        }
-        return priceText;
-      }
-    }
-  }
+  const origin = getMarketplaceOrigin(marketplace);
+  const links = document.querySelectorAll(
+    '#your-lists-nav a[href*="/wishlist/ls/"], #left-nav a[href*="/wishlist/ls/"], ' +
+    '[id^="wl-list-entry-title-"], a[id^="wl-list-link-"]'
+  );
+  const lists = [];
+  const seenIds = new Set();
   
-  // Fallback: search entire element text for price pattern
-  const elementText = element.textContent || '';
-  const priceMatch = elementText.match(/[\$]?([\d,]+\.?\d{2})/);
-  if (priceMatch) {
-    return formatPrice(priceMatch[1]);
-  }
+  links.forEach((link) => {
+    const anchor = link.closest('a') || link.querySelector('a');
+    if (!anchor) return;
+    
+    const id = getWishlistIdFromUrl(anchor.getAttribute('href') || '');
+    if (!id || seenIds.has(id)) return;
+    seenIds.add(id);
+    
+    const titleEl = anchor.querySelector('[id^="wl-list-entry-title-"]') || anchor;
+    lists.push({
+      id: id,
+      name: titleEl.textContent.trim().replace(/\s+/g, ' ') || id,
+      url: `${origin}/hz/wishlist/ls/${id}`,
+      marketplace: marketplace.domain
+    });
+  });
   
-  return '';
+  return lists;
 }
 
 /**
- * Formats price string
- * @param {string} price - Raw price string
- * @returns {string} - Formatted price
+ * Extracts a single item to add to the collection from a product or search results page
+ * On the product's own page the item is read from the product details; anywhere
+ * else from the search result card or link for the ASIN
+ * @param {string} asin - ASIN of the right-clicked product
+ * @param {Object} profile - Selector profile
+ * @returns {Object} - { success, item } or { success: false, error }
  */
-function formatPrice(price) {
-  if (!price) return '';
-  // Remove commas and ensure proper format
-  const cleaned = String(price).replace(/,/g, '');
-  if (cleaned.includes('$')) return cleaned;
-  return `$${cleaned}`;
-}
-
-/**
- * Extracts item URL from element
- * @param {HTMLElement} element - DOM element
- * @returns {string} - Full URL or empty string
- */
-function extractItemUrl(element) {
-  // Find link element
-  const link = element.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]') || 
-               (element.tagName === 'A' ? element : null);
-  
-  if (link) {
-    let href = link.href || link.getAttribute('href');
-    if (href) {
-      // Convert relative URLs to absolute
-      if (href.startsWith('/')) {
-        href = `https://www.amazon.com${href}`;
-      }
-      // Clean up URL (remove tracking parameters)
-      try {
-        const url = new URL(href);
-        // Keep only essential parameters
-        const cleanUrl = `${url.origin}${url.pathname}`;
-        return cleanUrl;
-      } catch (e) {
-        return href;
-      }
-    }
+function collectItem(asin, profile) {
+  const marketplace = getMarketplaceFromUrl(window.location.href);
+  if (!marketplace) {
+    return toErrorResponse(createScrapeError(ERROR_CODES.UNSUPPORTED_MARKETPLACE, t('errUnsupportedMarketplace')));
   }
   
-  return '';
-}
-
-/**
- * Extracts item image/thumbnail URL from element
- * @param {HTMLElement} element - DOM element
- * @returns {string} - Image URL or empty string
- */
-function extractItemImage(element) {
-  // Try multiple image selectors used by Amazon
-  const imageSelectors = [
-    'img[data-a-dynamic-image]', // Amazon's dynamic image (JSON object)
-    'img[data-src]',              // Lazy-loaded images
-    'img.a-dynamic-image',        // Amazon's dynamic image class
-    '.a-dynamic-image img',       // Nested dynamic image
-    '[data-image-latency] img',   // Image with latency attribute
-    'img[src]'                    // Regular images
-  ];
-  
-  for (const selector of imageSelectors) {
-    const img = element.querySelector(selector);
-    if (img) {
-      // Check for data-a-dynamic-image first (Amazon's JSON image object)
-      const dynamicImageAttr = img.getAttribute('data-a-dynamic-image');
-      if (dynamicImageAttr) {
-        try {
-          // Parse JSON object that contains multiple image sizes
-          const imageData = JSON.parse(dynamicImageAttr);
-          // Get the largest/highest quality image (usually the last or largest key)
-          const imageUrls = Object.keys(imageData);
-          if (imageUrls.length > 0) {
-            // Sort by size (larger numbers in URL usually mean larger images)
-            // Or just get the last one which is often the largest
-            let imageUrl = imageUrls[imageUrls.length - 1];
-            
-            // Convert to absolute URL if needed
-            if (imageUrl.startsWith('//')) {
-              imageUrl = `https:${imageUrl}`;
-            } else if (imageUrl.startsWith('/')) {
-              imageUrl = `https://www.amazon.com${imageUrl}`;
-            }
-            
-            return imageUrl;
-          }
-        } catch (e) {
-          // Not valid JSON, continue to other methods
-        }
-      }
-      
-      // Try data-src (lazy loading)
-      let imageUrl = img.getAttribute('data-src');
-      if (imageUrl) {
-        if (imageUrl.startsWith('//')) {
-          imageUrl = `https:${imageUrl}`;
-        } else if (imageUrl.startsWith('/')) {
-          imageUrl = `https://www.amazon.com${imageUrl}`;
-        }
-        return imageUrl;
-      }
-      
-      // Try src attribute
-      imageUrl = img.getAttribute('src') || img.src;
-      if (imageUrl) {
-        // Skip placeholder images
-        if (imageUrl.includes('pixel') || imageUrl.includes('placeholder') || imageUrl.includes('data:image')) {
-          continue;
-        }
-        
-        if (imageUrl.startsWith('//')) {
-          imageUrl = `https:${imageUrl}`;
-        } else if (imageUrl.startsWith('/')) {
-          imageUrl = `https://www.amazon.com${imageUrl}`;
-        }
-        return imageUrl;
-      }
-    }
+  const pageAsin = (document.getElementById('ASIN')?.value ||
+    window.location.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i)?.[1] || '').toUpperCase();
+  let item = null;
+  if (pageAsin && pageAsin === asin) {
+    item = extractProductPageItem(document, marketplace, profile, asin);
   }
-  
-  // Fallback: look for any img tag
-  const anyImg = element.querySelector('img');
-  if (anyImg) {
-    let imageUrl = anyImg.src || anyImg.getAttribute('src');
-    if (imageUrl && !imageUrl.includes('pixel') && !imageUrl.includes('placeholder')) {
-      if (imageUrl.startsWith('//')) {
-        imageUrl = `https:${imageUrl}`;
-      } else if (imageUrl.startsWith('/')) {
-        imageUrl = `https://www.amazon.com${imageUrl}`;
-      }
-      return imageUrl;
-    }
+  if (!item) {
+    const card = findProductCard(document, asin);
+    item = card ? extractItemData(card, marketplace, profile) : null;
   }
   
-  return '';
+  if (!item) {
+    return toErrorResponse(createScrapeError(ERROR_CODES.SELECTOR_MISS, t('errProductNotFound')));
+  }
+  return { success: true, item: item };
 }
 
 // Listen for messages from background script
@@ -463,20 +301,86 @@ function extractItemImage(element) {
 if (!window.__amazonWishlistScraperLoaded) {
   window.__amazonWishlistScraperLoaded = true;
   
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'scrapeWishlist') {
-      scrapeWishlist()
+  // Scrapes stream progress over a port; the background worker posts
+  // { action: 'scrapeWishlist', profile, diagnostics } to start and
+  // { action: 'cancel' } to stop early
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== SCRAPE_PORT_NAME) return;
+    
+    const controller = new AbortController();
+    
+    port.onDisconnect.addListener(() => controller.abort());
+    port.onMessage.addListener((message) => {
+      if (message.action === 'cancel') {
+        controller.abort();
+        return;
+      }
+      if (message.action !== 'scrapeWishlist') return;
+      
+      const pageType = detectPageType(document, window.location.href);
+      const list = pageType
+        ? getPageListInfo(document, window.location.href, pageType)
+        : getWishlistInfo(document, window.location.href);
+      // Cart items already belong to the cart or Saved for Later
+      const tagItems = items => items.map(item => ({
+        ...item,
+        listId: item.listId || list.id,
+        listName: item.listName || list.name
+      }));
+      const diagnostics = message.diagnostics
+        ? createScrapeDiagnostics(message.profile, window.location.href)
+        : null;
+      const post = (data) => {
+        try {
+          port.postMessage(data);
+        } catch (error) {
+          // The background worker went away; nobody is waiting for the rest
+          controller.abort();
+        }
+      };
+      
+      scrapeWishlist(message.profile, diagnostics, {
+        signal: controller.signal,
+        onProgress: progress => post({ type: 'progress', ...progress, newItems: tagItems(progress.newItems) })
+      })
         .then(items => {
-          sendResponse({ success: true, items: items });
+          const response = { success: true, items: tagItems(items), list: list };
+          if (controller.signal.aborted) {
+            response.cancelled = true;
+          }
+          if (diagnostics) {
+            response.diagnostics = finishScrapeDiagnostics(diagnostics);
+          }
+          post({ type: 'result', response: response });
         })
         .catch(error => {
-          sendResponse({ 
-            success: false, 
-            error: error.message || 'Unknown error occurred' 
+          // A report is most useful when nothing was found, so send it with the error too
+          post({
+            type: 'result',
+            response: {
+              ...toErrorResponse(error),
+              diagnostics: diagnostics ? finishScrapeDiagnostics(diagnostics) : undefined
+            }
           });
         });
-      
-      return true; // Keep channel open for async response
+    });
+  });
+  
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Lets the background worker check that the script is loaded before connecting
+    if (message.action === 'ping') {
+      sendResponse({ success: true });
+      return false;
+    }
+    
+    if (message.action === 'discoverWishlists') {
+      sendResponse({ success: true, lists: discoverWishlists() });
+      return false;
+    }
+    
+    if (message.action === 'collectItem') {
+      sendResponse(collectItem(message.asin, message.profile));
+      return false;
     }
     
     return false;
@@ -0,0 +1,348 @@
+// Dashboard page script for Amazon Wishlist Scraper
+// Shows the scrape results of one wishlist tab in a full tab, for lists too long
+// for the popup table. Only the rows in view are rendered.
+
+// Height of a grid row in pixels; must match .grid-row in popup.css
+const GRID_ROW_HEIGHT = 56;
+// Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+const GRID_OVERSCAN = 8;
+
+// Wishlist tab the dashboard was opened for (?tabId=...)
+const sourceTabId = Number(new URLSearchParams(window.location.search).get('tabId')) || null;
+
+let detailItem = null;
+// Start time of the job last shown, so its own storage updates are not mistaken for a new job
+let shownJobStartedAt = '';
+let renderScheduled = false;
+
+// DOM elements
+const sourceInfoDiv = document.getElementById('sourceInfo');
+const scrapeBtn = document.getElementById('scrapeBtn');
+const scrapeAllBtn = document.getElementById('scrapeAllBtn');
+const cancelScrapeBtn = document.getElementById('cancelScrapeBtn');
+const statusDiv = document.getElementById('status');
+const statusHintDiv = document.getElementById('statusHint');
+const searchInput = document.getElementById('searchInput');
+const minPriceInput = document.getElementById('minPriceInput');
+const maxPriceInput = document.getElementById('maxPriceInput');
+const pricedOnlyCheckbox = document.getElementById('pricedOnlyCheckbox');
+const exportCSVBtn = document.getElementById('exportCSVBtn');
+const exportJSONBtn = document.getElementById('exportJSONBtn');
+const exportXLSXBtn = document.getElementById('exportXLSXBtn');
+const exportHTMLBtn = document.getElementById('exportHTMLBtn');
+const exportArchiveBtn = document.getElementById('exportArchiveBtn');
+const catalogLayoutSelect = document.getElementById('catalogLayoutSelect');
+const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const sortHeaders = document.querySelectorAll('.grid-header .sortable');
+const gridViewport = document.getElementById('gridViewport');
+const gridSpacer = document.getElementById('gridSpacer');
+const detailPane = document.getElementById('detailPane');
+const detailBody = document.getElementById('detailBody');
+const closeDetailBtn = document.getElementById('closeDetailBtn');
+const itemCountDiv = document.getElementById('itemCount');
+const selectionTotalDiv = document.getElementById('selectionTotal');
+
+// Status line, filters, sorting, selection, exports and scrape following, shared with the popup
+const resultsTable = createResultsTable({
+  status: statusDiv,
+  statusHint: statusHintDiv,
+  searchInput: searchInput,
+  minPriceInput: minPriceInput,
+  maxPriceInput: maxPriceInput,
+  pricedOnlyCheckbox: pricedOnlyCheckbox,
+  selectAllCheckbox: selectAllCheckbox,
+  sortHeaders: sortHeaders,
+  itemCount: itemCountDiv,
+  selectionTotal: selectionTotalDiv,
+  catalogLayoutSelect: catalogLayoutSelect,
+  scrapeButtons: [scrapeBtn, scrapeAllBtn],
+  cancelScrapeButton: cancelScrapeBtn
+}, renderGrid);
+const updateStatus = resultsTable.updateStatus;
+
+/**
+ * Appends a text cell to a grid row, keeping the full value on hover
+ * @param {HTMLElement} row - Grid row
+ * @param {string} text - Cell text
+ */
+function appendGridCell(row, text) {
+  const cell = document.createElement('div');
+  cell.textContent = text || '';
+  cell.title = text || '';
+  row.appendChild(cell);
+}
+
+/**
+ * Builds the grid row for an item
+ * @param {Object} item - Item object
+ * @param {number} index - Position in the shown items, which sets the row's offset
+ * @returns {HTMLElement}
+ */
+function createGridRow(item, index) {
+  const row = document.createElement('div');
+  row.className = 'grid-row';
+  row.classList.toggle('active', item === detailItem);
+  row.style.top = `${index * GRID_ROW_HEIGHT}px`;
+  row.addEventListener('click', () => showItemDetails(item));
+
+  const selectCell = document.createElement('div');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = resultsTable.selectedItems.has(item);
+  checkbox.addEventListener('click', event => event.stopPropagation());
+  checkbox.addEventListener('change', () => resultsTable.setSelected(item, checkbox.checked));
+  selectCell.appendChild(checkbox);
+  row.appendChild(selectCell);
+
+  // Only rows in view exist, so thumbnails load as they scroll into view
+  const imageCell = document.createElement('div');
+  if (item.image) {
+    const img = document.createElement('img');
+    img.src = item.image;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.className = 'thumbnail-img';
+    img.onerror = () => img.remove();
+    imageCell.appendChild(img);
+  }
+  row.appendChild(imageCell);
+
+  const quantity = formatItemQuantity(item);
+  appendGridCell(row, item.name || t('unknownItem'));
+  appendGridCell(row, item.asin);
+  appendGridCell(row, formatPriceAmount(item.price, item.currency) || item.priceText);
+  appendGridCell(row, quantity);
+  appendGridCell(row, item.priority);
+  appendGridCell(row, item.dateAdded || item.dateAddedText);
+  appendGridCell(row, item.availability);
+  appendGridCell(row, getItemListName(item));
+  return row;
+}
+
+/**
+ * Renders the rows currently in view (plus overscan) and drops the rest
+ */
+function renderVisibleRows() {
+  const { shownItems } = resultsTable;
+  renderScheduled = false;
+  gridSpacer.style.height = `${shownItems.length * GRID_ROW_HEIGHT}px`;
+
+  const first = Math.max(0, Math.floor(gridViewport.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+  const last = Math.min(
+    shownItems.length,
+    Math.ceil((gridViewport.scrollTop + gridViewport.clientHeight) / GRID_ROW_HEIGHT) + GRID_OVERSCAN
+  );
+
+  const fragment = document.createDocumentFragment();
+  for (let index = first; index < last; index++) {
+    fragment.appendChild(createGridRow(shownItems[index], index));
+  }
+  gridSpacer.replaceChildren(fragment);
+}
+
+/**
+ * Re-renders the visible rows on the next frame, at most once per frame
+ */
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(renderVisibleRows);
+}
+
+/**
+ * Redraws the grid after the shown items changed
+ * @param {boolean} rowsChanged - True to start again from the top, false to keep
+ *   the scroll position while items stream in or are ticked
+ */
+function renderGrid(rowsChanged) {
+  if (rowsChanged) {
+    gridViewport.scrollTop = 0;
+    renderVisibleRows();
+  } else {
+    scheduleRender();
+  }
+}
+
+/**
+ * Replaces the items shown in the grid
+ * @param {Array} items - Item objects
+ */
+function setItems(items) {
+  hideItemDetails();
+  resultsTable.setItems(items);
+}
+
+/**
+ * Formats a field value for the detail pane
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatDetailValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'boolean') return t(value ? 'yes' : 'no');
+  return String(value);
+}
+
+/**
+ * Shows every captured field of an item in the detail pane
+ * Fields are listed in export column order, followed by any the columns don't cover
+ * @param {Object} item - Item object
+ */
+function showItemDetails(item) {
+  detailItem = item;
+  detailBody.innerHTML = '';
+
+  if (item.image) {
+    const img = document.createElement('img');
+    img.src = item.image;
+    img.alt = item.name || t('productImage');
+    detailBody.appendChild(img);
+  }
+
+  if (item.url) {
+    const link = document.createElement('a');
+    link.href = item.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = t('openOnAmazon');
+    detailBody.appendChild(link);
+  }
+
+  const list = document.createElement('dl');
+  const addField = (label, value) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = formatDetailValue(value);
+    list.appendChild(term);
+    list.appendChild(description);
+  };
+
+  ITEM_COLUMNS.forEach(column => addField(column.header, column.value(item)));
+  const columnIds = new Set(ITEM_COLUMNS.map(column => column.id));
+  Object.keys(item)
+    .filter(key => !columnIds.has(key))
+    .forEach(key => addField(key, item[key]));
+  detailBody.appendChild(list);
+
+  detailPane.classList.remove('hidden');
+  renderVisibleRows();
+}
+
+/**
+ * Closes the detail pane
+ */
+function hideItemDetails() {
+  detailItem = null;
+  detailPane.classList.add('hidden');
+}
+
+/**
+ * Shows the final response of a scrape
+ * @param {Object} response - Scrape response
+ */
+function showScrapeResponse(response) {
+  if (!response || !response.success) {
+    updateStatus(response?.error || t('scrapeFailed'), 'error', getErrorHint(response?.errorCode));
+    return;
+  }
+
+  setItems(response.items || []);
+
+  if (response.cancelled) {
+    updateStatus(tPlural('scrapeCancelled', response.items.length), 'info');
+  } else if (response.lists) {
+    const failed = response.lists.filter(result => result.error);
+    updateStatus(
+      t('scrapedFromLists', [
+        tPlural('itemCount', response.items.length),
+        response.lists.length - failed.length,
+        response.lists.length
+      ]),
+      failed.length > 0 ? 'error' : 'success',
+      failed.length > 0 ? getErrorHint(failed[0].errorCode) : ''
+    );
+  } else {
+    updateStatus(tPlural('scraped', response.items.length), 'success');
+  }
+}
+
+/**
+ * Follows a scrape job of the source tab, adding items as they stream in
+ * @param {Object} request - Port message that starts the job or attaches to it
+ * @param {Object} [job] - Stored job being followed again
+ */
+function followScrape(request, job = null) {
+  setItems(job ? [...job.items] : []);
+  updateStatus(t('scraping'), 'info');
+  resultsTable.followScrape(request, showScrapeResponse, job ? job.progress : null);
+}
+
+/**
+ * Shows the source tab's scrape job: follows it while it runs, otherwise shows its outcome
+ * @param {Object|null} job - Stored job
+ */
+function showScrapeJob(job) {
+  shownJobStartedAt = job ? job.startedAt : '';
+  if (!job) {
+    updateStatus(t('noScrapeYet', t('scrapeWishlist')), 'info');
+  } else if (job.status === 'running') {
+    followScrape({ action: 'attach', tabId: sourceTabId }, job);
+  } else {
+    showScrapeResponse(job.response);
+  }
+}
+
+// Event listeners
+scrapeBtn.addEventListener('click', () => followScrape({ action: 'scrapeWishlist', tabId: sourceTabId }));
+scrapeAllBtn.addEventListener('click', () => followScrape({ action: 'scrapeAllLists', tabId: sourceTabId }));
+exportCSVBtn.addEventListener('click', () => resultsTable.handleExport('csv', exportCSVBtn));
+exportJSONBtn.addEventListener('click', () => resultsTable.handleExport('json', exportJSONBtn));
+exportXLSXBtn.addEventListener('click', () => resultsTable.handleExport('xlsx', exportXLSXBtn));
+exportHTMLBtn.addEventListener('click', () => resultsTable.handleExport('html', exportHTMLBtn));
+exportArchiveBtn.addEventListener('click', () => resultsTable.handleExport('archive', exportArchiveBtn));
+closeDetailBtn.addEventListener('click', () => {
+  hideItemDetails();
+  renderVisibleRows();
+});
+gridViewport.addEventListener('scroll', scheduleRender);
+window.addEventListener('resize', scheduleRender);
+
+// Pick up scrapes started from the popup while the dashboard is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const change = areaName === 'session' && sourceTabId ? changes[getScrapeJobKey(sourceTabId)] : null;
+  const job = change && change.newValue;
+  if (!job) return;
+
+  if (resultsTable.isScraping()) {
+    shownJobStartedAt = job.startedAt;
+  } else if (job.startedAt !== shownJobStartedAt) {
+    showScrapeJob(job);
+  }
+});
+
+// Show the dashboard in the browser's language
+localizePage(document);
+
+// Initialize
+getExportSettings().then((settings) => {
+  resultsTable.exportSettings = settings;
+});
+
+if (!sourceTabId) {
+  scrapeBtn.disabled = true;
+  scrapeAllBtn.disabled = true;
+  updateStatus(t('openDashboardFromPopup'), 'info');
+} else {
+  chrome.tabs.get(sourceTabId, (tab) => {
+    if (chrome.runtime.lastError || !tab) {
+      sourceInfoDiv.textContent = t('sourceTabClosed');
+      scrapeBtn.disabled = true;
+      scrapeAllBtn.disabled = true;
+      return;
+    }
+    sourceInfoDiv.textContent = tab.title || tab.url;
+  });
+  getScrapeJob(sourceTabId).then(showScrapeJob);
+}
@@ -0,0 +1,56 @@
+// Error codes for Amazon Wishlist Scraper
+// Failed responses carry { success: false, error, errorCode }: error is the message
+// to show, errorCode says what went wrong so the popup and dashboard can tell the
+// user how to recover (see getErrorHint). Shared by the content script, background
+// worker, popup and dashboard
+
+// Declared with var so the file can be injected into a tab that already has it
+var ERROR_CODES = {
+  NOT_WISHLIST: 'NOT_WISHLIST',                   // Not a wishlist, cart, registry or Idea List page
+  UNSUPPORTED_MARKETPLACE: 'UNSUPPORTED_MARKETPLACE',
+  PRIVATE: 'PRIVATE',                             // The list isn't shared with this account
+  SIGNED_OUT: 'SIGNED_OUT',                       // Amazon wants a sign-in first
+  CAPTCHA: 'CAPTCHA',                             // Robot check page
+  THROTTLED: 'THROTTLED',                         // "Something went wrong" pages, HTTP 429 and 503
+  SELECTOR_MISS: 'SELECTOR_MISS',                 // The page loaded, but no items matched the selectors
+  INJECTION_FAILED: 'INJECTION_FAILED',           // The content script couldn't be injected or reached
+  CONNECTION_LOST: 'CONNECTION_LOST',             // The tab closed or navigated away mid-scrape
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Creates an error carrying an error code
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Message to show
+ * @returns {Error} - Error with a code property
+ */
+function createScrapeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Turns a caught error into a failed response
+ * @param {Error} error - Error, with or without a code
+ * @param {string} [fallbackCode] - Code for errors that don't have one
+ * @returns {Object} - { success: false, error, errorCode }
+ */
+function toErrorResponse(error, fallbackCode = ERROR_CODES.UNKNOWN) {
+  return {
+    success: false,
+    error: error.message || t('errUnknown'),
+    errorCode: error.code || fallbackCode
+  };
+}
+
+/**
+ * Returns what the user can do about an error, in the browser's language
+ * Hints are the hint_<code> messages in _locales
+ * @param {string} [code] - Key of ERROR_CODES
+ * @returns {string} - Hint, or empty string for unknown errors
+ */
+function getErrorHint(code) {
+  if (!code || !ERROR_CODES[code] || code === ERROR_CODES.UNKNOWN) return '';
+  return chrome.i18n.getMessage(`hint_${code}`);
+}
@@ -0,0 +1,1041 @@
+// Item extraction for Amazon Wishlist Scraper
+// Turns wishlist, cart, registry and Idea List markup into item objects. Shared by
+// the content script (live pages) and the popup (saved HTML files), so it must not
+// touch the live page directly
+
+// How to read the list pages other than wishlists (see PAGE_TYPES in marketplaces.js).
+// marker: selector that identifies the page when its URL doesn't, specific enough
+//   not to match product or search pages;
+// sections: where the items are, each optionally with the list its items belong to;
+// fields: selectors tried before the profile's own field selectors;
+// scroll: whether the page lazy-loads more items when scrolled;
+// extend: adds the page type's own fields to an extracted item
+var PAGE_EXTRACTORS = {
+  wishlist: {
+    marker: '#g-items, [data-wishlist]'
+  },
+  cart: {
+    marker: '#sc-active-cart, #sc-saved-cart, #activeCartViewForm',
+    sections: [
+      {
+        selector: '#sc-active-cart .sc-list-item[data-asin], #activeCartViewForm .sc-list-item[data-asin]',
+        list: { id: 'cart', nameKey: 'pageType_cart' }
+      },
+      {
+        selector: '#sc-saved-cart .sc-list-item[data-asin]',
+        list: { id: 'saved-for-later', nameKey: 'savedForLater' }
+      }
+    ],
+    fields: {
+      name: ['.sc-product-title .a-truncate-full', '.sc-product-title'],
+      price: ['.sc-product-price', '.sc-item-price-block .a-offscreen'],
+      image: ['img.sc-product-image']
+    },
+    scroll: false,
+    extend: extendCartItem
+  },
+  babyRegistry: {
+    marker: '#br-container, [data-testid="registry-guest-view"]',
+    sections: [
+      { selector: '[data-testid="registry-item"], [data-testid="item-card"], .registry-item[data-asin], .br-item[data-asin]' }
+    ],
+    fields: {
+      name: ['[data-testid="item-title"]', '.registry-item-title'],
+      price: ['[data-testid="item-price"] .a-offscreen', '[data-testid="item-price"]'],
+      image: ['[data-testid="item-image"] img']
+    },
+    scroll: true,
+    extend: extendRegistryItem
+  },
+  weddingRegistry: {
+    marker: '#wr-container, [data-testid="wedding-registry"]',
+    sections: [
+      { selector: '[data-testid="registry-item"], [data-testid="item-card"], .registry-item[data-asin], .wr-item[data-asin]' }
+    ],
+    fields: {
+      name: ['[data-testid="item-title"]', '.registry-item-title'],
+      price: ['[data-testid="item-price"] .a-offscreen', '[data-testid="item-price"]'],
+      image: ['[data-testid="item-image"] img']
+    },
+    scroll: true,
+    extend: extendRegistryItem
+  },
+  ideaList: {
+    marker: '#idea-list-container, [data-testid="idea-list"], [data-testid="idea-list-item"]',
+    sections: [
+      { selector: '[data-testid="idea-list-item"], .idea-list-item' }
+    ],
+    fields: {
+      name: ['[data-testid="item-title"]', '.idea-item-title'],
+      price: [],
+      image: []
+    },
+    scroll: true,
+    extend: extendIdeaListItem
+  }
+};
+
+/**
+ * Describes the wishlist shown in a page
+ * @param {Document} doc - Wishlist page
+ * @param {string} pageUrl - URL the page was loaded (or saved) from
+ * @returns {Object} - { id, name, url, marketplace }
+ */
+function getWishlistInfo(doc, pageUrl) {
+  const marketplace = getMarketplaceFromUrl(pageUrl);
+  const listIdInput = doc.querySelector('input[name="listId"]');
+  const id = getWishlistIdFromUrl(pageUrl) ||
+             (listIdInput ? listIdInput.value.toUpperCase() : '') ||
+             'DEFAULT';
+  const nameEl = doc.querySelector('#profile-list-name, #list-header-name, #wl-list-info h2');
+  const name = nameEl?.textContent?.trim() || doc.title.trim();
+  
+  return {
+    id: id,
+    name: name,
+    url: id !== 'DEFAULT'
+      ? `${getMarketplaceOrigin(marketplace)}/hz/wishlist/ls/${id}`
+      : pageUrl.split('#')[0],
+    marketplace: marketplace ? marketplace.domain : ''
+  };
+}
+
+/**
+ * Describes the list shown in a page of any supported type
+ * Cart sections carry their own list, so the cart page as a whole is just "cart"
+ * @param {Document} doc - List page
+ * @param {string} pageUrl - URL the page was loaded (or saved) from
+ * @param {Object} pageType - Page type from detectPageType()
+ * @returns {Object} - { id, name, url, marketplace, type }
+ */
+function getPageListInfo(doc, pageUrl, pageType) {
+  if (pageType.id === 'wishlist') {
+    return { ...getWishlistInfo(doc, pageUrl), type: pageType.id };
+  }
+  
+  const marketplace = getMarketplaceFromUrl(pageUrl);
+  let id = pageType.id;
+  if (pageType.id !== 'cart') {
+    try {
+      id = new URL(pageUrl).pathname.split('/').filter(Boolean).pop() || pageType.id;
+    } catch (e) {
+      // Keep the page type as the ID
+    }
+  }
+  const nameEl = doc.querySelector('[data-testid="registry-name"], [data-testid="list-title"], #registry-name, h1');
+  const typeName = t(`pageType_${pageType.id}`);
+  
+  return {
+    id: id,
+    name: pageType.id === 'cart' ? typeName : (nameEl?.textContent?.trim().replace(/\s+/g, ' ') || typeName),
+    url: pageUrl.split('#')[0],
+    marketplace: marketplace ? marketplace.domain : '',
+    type: pageType.id
+  };
+}
+
+/**
+ * Tells which kind of list a page shows, from its URL or else from its markup
+ * @param {Document} doc - Page to check
+ * @param {string} pageUrl - URL the page was loaded (or saved) from
+ * @returns {Object|null} - Page type from PAGE_TYPES or null
+ */
+function detectPageType(doc, pageUrl) {
+  return getPageTypeFromUrl(pageUrl) ||
+    PAGE_TYPES.find(pageType => doc.querySelector(PAGE_EXTRACTORS[pageType.id].marker)) ||
+    null;
+}
+
+// Messages Amazon shows instead of a list are only matched against the page title,
+// headings and alert boxes (see getPageMessageText), so item names can't trip them.
+// The phrases themselves are in PAGE_TEXT_PATTERNS (i18n.js), by language
+
+/**
+ * Returns the text of a page's title, headings and alert boxes
+ * Hidden alerts are skipped: list pages carry templates such as "an error occurred"
+ * for add-to-cart failures that are only shown when one happens
+ * @param {Document} doc - Page to read
+ * @returns {string} - Whitespace-collapsed text
+ */
+function getPageMessageText(doc) {
+  const elements = doc.querySelectorAll(
+    'title, h1, h2, h3, h4, .a-alert-heading, .a-alert-content, #no-items-section'
+  );
+  return Array.from(elements)
+    .filter(element => !element.closest('.a-hidden, [aria-hidden="true"], [hidden], [style*="display: none"], [style*="display:none"]'))
+    .map(element => element.textContent)
+    .join(' ')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Returns the language a page is written in
+ * Amazon sets it on the html element; pages without it are taken to be in the
+ * marketplace's language
+ * @param {Document} doc - Page to check
+ * @param {string} [pageUrl] - Page URL, for pages without a lang attribute
+ * @returns {string} - Language code (e.g. 'de')
+ */
+function getPageLanguage(doc, pageUrl) {
+  const lang = getLanguageCode(doc.documentElement ? doc.documentElement.getAttribute('lang') : '');
+  if (lang) return lang;
+  
+  const marketplace = getMarketplaceFromUrl(pageUrl);
+  return marketplace ? getLanguageCode(marketplace.locale) : 'en';
+}
+
+/**
+ * Recognizes the pages Amazon shows in place of any page: robot checks, sign-in
+ * forms and "Sorry! Something went wrong!" pages
+ * @param {Document} doc - Page to check
+ * @param {string} [pageUrl] - Page URL, for pages without a lang attribute
+ * @returns {Error|null} - Error with a code from ERROR_CODES, or null for a normal page
+ */
+function detectBlockedPage(doc, pageUrl) {
+  const text = getPageMessageText(doc);
+  const language = getPageLanguage(doc, pageUrl);
+  
+  if (doc.querySelector('form[action*="validateCaptcha"], #captchacharacters') || matchesPageText(text, 'captcha', language)) {
+    return createScrapeError(ERROR_CODES.CAPTCHA, t('errCaptcha'));
+  }
+  if (doc.querySelector('form[name="signIn"], #ap_email, #ap_password')) {
+    return createScrapeError(ERROR_CODES.SIGNED_OUT, t('errSignInForm'));
+  }
+  if (doc.querySelector('img[alt*="Dogs of Amazon"]') || matchesPageText(text, 'throttled', language)) {
+    return createScrapeError(ERROR_CODES.THROTTLED, t('errThrottled'));
+  }
+  return null;
+}
+
+/**
+ * Explains why a list page shows no items, when the page itself says so
+ * @param {Document} doc - List page without items
+ * @param {string} [pageUrl] - Page URL, for pages without a lang attribute
+ * @returns {Error|null} - PRIVATE or SIGNED_OUT error, or null when the page gives no reason
+ */
+function explainMissingItems(doc, pageUrl) {
+  const text = getPageMessageText(doc);
+  const language = getPageLanguage(doc, pageUrl);
+  
+  if (matchesPageText(text, 'private', language)) {
+    return createScrapeError(ERROR_CODES.PRIVATE, t('errPrivate'));
+  }
+  if (matchesPageText(text, 'signIn', language)) {
+    return createScrapeError(ERROR_CODES.SIGNED_OUT, t('errSignInToSee'));
+  }
+  return null;
+}
+
+/**
+ * Checks whether the page was loaded without an Amazon session
+ * The account link in the navigation bar only points to the sign-in page then
+ * @param {Document} doc - Page to check
+ * @returns {boolean}
+ */
+function isSignedOutPage(doc) {
+  return !!doc.querySelector('#nav-link-accountList[href*="/ap/signin"], #nav-signin-tooltip');
+}
+
+/**
+ * Finds wishlist item elements using the profile's item strategies in order
+ * @param {Document|HTMLElement} root - Page or fragment to search
+ * @param {Object} profile - Selector profile
+ * @returns {Object} - { strategy, elements } where strategy is the ID of the
+ *   first strategy that matched, or '' if none did
+ */
+function matchWishlistItems(root, profile) {
+  for (const strategy of profile.items) {
+    const elements = root.querySelectorAll(strategy.selector);
+    if (elements.length > 0) {
+      return { strategy: strategy.id, elements: elements };
+    }
+  }
+  
+  return { strategy: '', elements: [] };
+}
+
+/**
+ * Finds all wishlist item elements using the profile's selector strategies
+ * @param {Document|HTMLElement} root - Page or fragment to search
+ * @param {Object} profile - Selector profile
+ * @returns {NodeList|Array} - Collection of item elements
+ */
+function findWishlistItems(root, profile) {
+  return matchWishlistItems(root, profile).elements;
+}
+
+/**
+ * Extracts the items of a page or page fragment that have not been seen yet
+ * @param {Document|HTMLElement} root - Page or fragment to search
+ * @param {Object} marketplace - Marketplace the wishlist belongs to
+ * @param {Object} profile - Selector profile
+ * @param {Set} seenIds - ASINs extracted so far; new ASINs are added to it
+ * @param {Object} [diagnostics] - Report from createScrapeDiagnostics() to fill in
+ * @returns {Array} - Newly extracted items
+ */
+function extractItemsFromRoot(root, marketplace, profile, seenIds, diagnostics) {
+  const { strategy, elements } = matchWishlistItems(root, profile);
+  
+  if (diagnostics) {
+    recordPageDiagnostics(diagnostics, strategy);
+  }
+  
+  return extractItemElements(elements, marketplace, profile, seenIds, diagnostics);
+}
+
+/**
+ * Extracts the items of a page or page fragment of any supported type that have not been seen yet
+ * Wishlists use the profile's item strategies; other pages use their PAGE_EXTRACTORS
+ * sections, with the section's list and the page type's own fields added to each item
+ * @param {Document|HTMLElement} root - Page or fragment to search
+ * @param {Object} pageType - Page type from detectPageType()
+ * @param {Object} marketplace - Marketplace the page belongs to
+ * @param {Object} profile - Selector profile
+ * @param {Set} seenIds - ASINs extracted so far; new ASINs are added to it
+ * @param {Object} [diagnostics] - Report from createScrapeDiagnostics() to fill in
+ * @returns {Array} - Newly extracted items
+ */
+function extractPageItems(root, pageType, marketplace, profile, seenIds, diagnostics) {
+  if (pageType.id === 'wishlist') {
+    return extractItemsFromRoot(root, marketplace, profile, seenIds, diagnostics);
+  }
+  
+  const extractor = PAGE_EXTRACTORS[pageType.id];
+  // Page-specific selectors go first, the profile's generic ones are the fallback
+  const pageProfile = {
+    ...profile,
+    fields: {
+      name: [...extractor.fields.name, ...profile.fields.name],
+      price: [...extractor.fields.price, ...profile.fields.price],
+      image: [...extractor.fields.image, ...profile.fields.image]
+    }
+  };
+  const newItems = [];
+  
+  extractor.sections.forEach((section) => {
+    const elements = root.querySelectorAll(section.selector);
+    if (elements.length === 0) return;
+    if (diagnostics) {
+      recordPageDiagnostics(diagnostics, section.list ? section.list.id : pageType.id);
+    }
+    
+    const items = extractItemElements(elements, marketplace, pageProfile, seenIds, diagnostics, (item, element) => {
+      const extended = extractor.extend(item, element, marketplace);
+      return section.list ? { ...extended, listId: section.list.id, listName: t(section.list.nameKey) } : extended;
+    });
+    newItems.push(...items);
+  });
+  
+  return newItems;
+}
+
+/**
+ * Extracts items from item elements, skipping ASINs already seen
+ * @param {NodeList|Array} elements - Item elements
+ * @param {Object} marketplace - Marketplace the page belongs to
+ * @param {Object} profile - Selector profile
+ * @param {Set} seenIds - ASINs extracted so far; new ASINs are added to it
+ * @param {Object} [diagnostics] - Report from createScrapeDiagnostics() to fill in
+ * @param {Function} [extend] - (item, element) => item with page-specific fields added
+ * @returns {Array} - Newly extracted items
+ */
+function extractItemElements(elements, marketplace, profile, seenIds, diagnostics, extend) {
+  const newItems = [];
+  
+  elements.forEach((element) => {
+    try {
+      let item = extractItemData(element, marketplace, profile);
+      if (item && item.asin && !seenIds.has(item.asin)) {
+        if (extend) {
+          item = extend(item, element);
+        }
+        seenIds.add(item.asin);
+        newItems.push(item);
+        if (diagnostics) {
+          recordItemDiagnostics(diagnostics, element, item);
+        }
+      } else if (!item && diagnostics) {
+        recordSkippedElement(diagnostics, element);
+      }
+    } catch (err) {
+      console.warn('Error extracting item:', err);
+    }
+  });
+  
+  return newItems;
+}
+
+/**
+ * Adds the cart quantity to a cart or Saved for Later item
+ * The cart shows the quantity in a dropdown, a text box or a +/- stepper
+ * depending on the quantity and the page version
+ * @param {Object} item - Item from extractItemData()
+ * @param {HTMLElement} element - Cart item element
+ * @param {Object} marketplace - Marketplace the page belongs to
+ * @returns {Object} - Item with cartQuantity (a number, or null if not shown)
+ */
+function extendCartItem(item, element, marketplace) {
+  const quantityText = element.getAttribute('data-quantity') ||
+    element.querySelector('select[name="quantity"]')?.value ||
+    element.querySelector('input[name="quantityBox"]')?.value ||
+    getElementText(element, '[data-a-selector="value"], .sc-quantity-stepper [role="spinbutton"]');
+  const match = (quantityText || '').match(/\d+/);
+  
+  // The item's own data-price is more reliable than prices found in its markup;
+  // the price text follows it, since it is shown in place of the price
+  const dataPrice = element.getAttribute('data-price');
+  const price = dataPrice ? parsePrice(dataPrice, marketplace) : null;
+  
+  return {
+    ...item,
+    price: price ? price.amount : item.price,
+    currency: price ? price.currency : item.currency,
+    priceText: price ? formatPriceAmount(price.amount, price.currency) : item.priceText,
+    cartQuantity: match ? parseInt(match[0], 10) : null
+  };
+}
+
+// Registry quantity labels in the marketplaces' languages
+var REGISTRY_OF_PATTERN = /(\d+)\s+(?:of|von|sur|de)\s+(\d+)\s+(?:purchased|received|bought|gekauft|erhalten|achetés?|reçus?|comprados?|recibidos?)/iu;
+var REGISTRY_REQUESTED_PATTERN = /(?<!\p{L})(?:requested|needs?|wants?|gewünscht|benötigt|demandés?|souhaités?|solicitados?|deseados?|希望数|希望)(?:\(s\))?\s*[:：]?\s*(\d+)/iu;
+var REGISTRY_PURCHASED_PATTERN = /(?<!\p{L})(?:purchased|has|received|bought|gekauft|erhalten|achetés?|reçus?|comprados?|recibidos?|購入済み数|購入済み|購入数)(?:\(s\))?\s*[:：]?\s*(\d+)/iu;
+
+/**
+ * Adds a registry item's needs/has counts
+ * Registries show them as "Requested 3 / Purchased 1", "Needs 2 · Has 1"
+ * or "1 of 3 purchased", in the marketplace's language
+ * @param {Object} item - Item from extractItemData()
+ * @param {HTMLElement} element - Registry item element
+ * @returns {Object} - Item with requestedQuantity and purchasedQuantity
+ */
+function extendRegistryItem(item, element) {
+  const text = (element.textContent || '').replace(/\s+/g, ' ');
+  let requested = item.requestedQuantity;
+  let purchased = item.purchasedQuantity;
+  
+  const ofMatch = text.match(REGISTRY_OF_PATTERN);
+  if (ofMatch) {
+    purchased = parseInt(ofMatch[1], 10);
+    requested = parseInt(ofMatch[2], 10);
+  } else {
+    const requestedMatch = text.match(REGISTRY_REQUESTED_PATTERN);
+    const purchasedMatch = text.match(REGISTRY_PURCHASED_PATTERN);
+    if (requestedMatch) requested = parseInt(requestedMatch[1], 10);
+    if (purchasedMatch) purchased = parseInt(purchasedMatch[1], 10);
+  }
+  
+  return { ...item, requestedQuantity: requested, purchasedQuantity: purchased };
+}
+
+/**
+ * Adds the curator's note shown with an Idea List item as its comment
+ * @param {Object} item - Item from extractItemData()
+ * @param {HTMLElement} element - Idea List item element
+ * @returns {Object} - Item with comment
+ */
+function extendIdeaListItem(item, element) {
+  const note = getElementText(element, '[data-testid="item-note"], .idea-item-note, .idea-note');
+  return note ? { ...item, comment: note } : item;
+}
+
+/**
+ * Extracts data from a single wishlist item element
+ * @param {HTMLElement} element - DOM element containing item data
+ * @param {Object} marketplace - Marketplace the wishlist belongs to
+ * @param {Object} profile - Selector profile
+ * @returns {Object|null} - Item data object or null
+ */
+function extractItemData(element, marketplace, profile) {
+  const origin = getMarketplaceOrigin(marketplace);
+  
+  // Extract ASIN
+  let asin = extractASINFromElement(element);
+  if (!asin) {
+    // Try to find ASIN in child elements
+    const asinElement = element.querySelector('[data-asin], [href*="/dp/"], [href*="/gp/product/"]');
+    if (asinElement) {
+      asin = extractASINFromElement(asinElement);
+    }
+    if (!asin) {
+      return null; // Can't extract without ASIN
+    }
+  }
+  
+  // Extract title/name
+  const name = extractItemName(element, profile.fields.name);
+  
+  // Extract current, list ("was") and when-added prices
+  const price = extractItemPrice(element, marketplace, profile.fields.price, profile.exclude?.price);
+  const listPrice = extractListPrice(element, marketplace);
+  const priceWhenAdded = extractPriceWhenAdded(element, marketplace);
+  const currencySource = price || listPrice || priceWhenAdded;
+  
+  // Extract URL
+  const url = extractItemUrl(element, origin);
+  
+  // Extract image/thumbnail
+  const image = extractItemImage(element, origin, profile.fields.image);
+  
+  // Extract availability/stock text
+  const availability = extractItemAvailability(element);
+  
+  // Extract list metadata (quantities, priority, comment, date added)
+  const quantities = extractItemQuantities(element);
+  const dateAddedText = getElementText(element, '[id^="itemAddedDate_"]');
+  
+  return {
+    name: name || 'Unknown Item',
+    asin: asin,
+    price: price ? price.amount : null,
+    currency: currencySource ? currencySource.currency : '',
+    priceText: price ? price.text : '',
+    listPrice: listPrice ? listPrice.amount : null,
+    priceWhenAdded: priceWhenAdded ? priceWhenAdded.amount : null,
+    url: url || `${origin}/dp/${asin}`,
+    image: image || '',
+    availability: availability,
+    requestedQuantity: quantities.requested,
+    purchasedQuantity: quantities.purchased,
+    priority: getElementText(element, '[id^="itemPriority_"]'),
+    comment: getElementText(element, '[id^="itemComment_"]'),
+    dateAdded: parseAddedDate(dateAddedText),
+    dateAddedText: dateAddedText,
+    rating: extractItemRating(element),
+    reviewCount: extractItemReviewCount(element),
+    seller: extractItemSeller(element),
+    prime: !!element.querySelector('i.a-icon-prime, [class*="a-icon-prime"], [aria-label="Amazon Prime"]'),
+    variant: getElementText(element, '[id^="twisterText_"], [id^="item-twister_"]'),
+    marketplace: marketplace.domain
+  };
+}
+
+/**
+ * Extracts ASIN from an element
+ * @param {HTMLElement} element - DOM element
+ * @returns {string} - ASIN or empty string
+ */
+function extractASINFromElement(element) {
+  // Try data-asin attribute
+  let asin = element.getAttribute('data-asin') || 
+             element.getAttribute('data-item-id') ||
+             element.closest('[data-asin]')?.getAttribute('data-asin');
+  
+  if (asin && /^[A-Z0-9]{10}$/i.test(asin)) {
+    return asin.toUpperCase();
+  }
+  
+  // Try extracting from href
+  const link = element.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]') || 
+               (element.tagName === 'A' ? element : null);
+  
+  if (link) {
+    const href = link.href || link.getAttribute('href');
+    if (href) {
+      const match = href.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?#]|$)/i);
+      if (match) return match[1].toUpperCase();
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts item name/title from element
+ * @param {HTMLElement} element - DOM element
+ * @param {Array<string>} titleSelectors - Selectors to try in order (profile fields.name)
+ * @returns {string} - Item name or empty string
+ */
+function extractItemName(element, titleSelectors) {
+  for (const selector of titleSelectors) {
+    const titleEl = element.querySelector(selector);
+    if (titleEl) {
+      const text = titleEl.textContent?.trim();
+      if (text && text.length > 0) {
+        return text;
+      }
+    }
+  }
+  
+  // Fallback: get first significant text
+  const allText = element.textContent?.trim();
+  if (allText && allText.length > 50) {
+    return allText.substring(0, 200).trim();
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts the current price from element
+ * @param {HTMLElement} element - DOM element
+ * @param {Object} marketplace - Marketplace whose number format the price uses
+ * @param {Array<string>} priceSelectors - Selectors to try in order (profile fields.price)
+ * @param {string} [excludeSelector] - Matches inside these containers are skipped (profile exclude.price)
+ * @returns {Object|null} - { amount, currency, text } or null
+ */
+function extractItemPrice(element, marketplace, priceSelectors, excludeSelector) {
+  for (const selector of priceSelectors) {
+    const priceEls = element.querySelectorAll(selector);
+    for (const priceEl of priceEls) {
+      // Skip strike-through list prices and "price dropped" notes
+      if (excludeSelector && priceEl.closest(excludeSelector)) {
+        continue;
+      }
+      
+      // Try data-price attribute first
+      const dataPrice = priceEl.getAttribute('data-price');
+      if (dataPrice) {
+        const parsed = parsePrice(dataPrice, marketplace);
+        if (parsed) return parsed;
+      }
+      
+      // Whole and fraction parts are rendered in separate spans
+      let priceText = priceEl.textContent?.trim();
+      if (priceText && priceEl.classList.contains('a-price-whole')) {
+        const fraction = priceEl.parentElement?.querySelector('.a-price-fraction');
+        priceText += fraction ? fraction.textContent.trim() : '';
+      }
+      
+      const parsed = parsePrice(priceText, marketplace);
+      if (parsed) return parsed;
+    }
+  }
+  
+  // Fallback: search entire element text for an amount next to a currency symbol
+  return findPriceInText(element.textContent || '', marketplace);
+}
+
+/**
+ * Extracts the list ("was") price shown struck through next to the current price
+ * @param {HTMLElement} element - DOM element
+ * @param {Object} marketplace - Marketplace whose number format the price uses
+ * @returns {Object|null} - { amount, currency, text } or null
+ */
+function extractListPrice(element, marketplace) {
+  const listPriceEl = element.querySelector(
+    '.a-price.a-text-price .a-offscreen, [data-a-strike="true"] .a-offscreen'
+  );
+  if (!listPriceEl) return null;
+  return parsePrice(listPriceEl.textContent?.trim(), marketplace);
+}
+
+/**
+ * Extracts the price the item had when it was added to the list
+ * Amazon shows this as e.g. "Price dropped 12% (was $45.99 when added to List)"
+ * @param {HTMLElement} element - DOM element
+ * @param {Object} marketplace - Marketplace whose number format the price uses
+ * @returns {Object|null} - { amount, currency, text } or null
+ */
+function extractPriceWhenAdded(element, marketplace) {
+  const priceDropEl = element.querySelector('[id^="itemPriceDrop"], .itemPriceDrop');
+  if (!priceDropEl) return null;
+  return findPriceInText(priceDropEl.textContent || '', marketplace);
+}
+
+/**
+ * Converts a protocol-relative or root-relative URL to an absolute one
+ * @param {string} href - URL as written in the page
+ * @param {string} origin - Marketplace origin to resolve against
+ * @returns {string} - Absolute URL
+ */
+function toAbsoluteUrl(href, origin) {
+  if (href.startsWith('//')) {
+    return `https:${href}`;
+  }
+  if (href.startsWith('/')) {
+    return `${origin}${href}`;
+  }
+  return href;
+}
+
+/**
+ * Extracts item URL from element
+ * @param {HTMLElement} element - DOM element
+ * @param {string} origin - Marketplace origin for relative links
+ * @returns {string} - Full URL or empty string
+ */
+function extractItemUrl(element, origin) {
+  // Find link element
+  const link = element.querySelector('a[href*="/dp/"], a[href*="/gp/product/"]') || 
+               (element.tagName === 'A' ? element : null);
+  
+  if (link) {
+    let href = link.getAttribute('href') || link.href;
+    if (href) {
+      // Convert relative URLs to absolute
+      href = toAbsoluteUrl(href, origin);
+      // Clean up URL (remove tracking parameters)
+      try {
+        const url = new URL(href);
+        // Keep only essential parameters
+        const cleanUrl = `${url.origin}${url.pathname}`;
+        return cleanUrl;
+      } catch (e) {
+        return href;
+      }
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Picks the best resolution from Amazon's data-a-dynamic-image attribute, a JSON
+ * object mapping each image URL to its [width, height]
+ * @param {string} attribute - Attribute value
+ * @returns {string} - URL of the image with the largest area, or empty string
+ */
+function getLargestDynamicImage(attribute) {
+  if (!attribute) return '';
+  
+  try {
+    let best = { url: '', area: -1 };
+    Object.entries(JSON.parse(attribute)).forEach(([url, size]) => {
+      const area = Array.isArray(size) ? (Number(size[0]) || 0) * (Number(size[1]) || 0) : 0;
+      if (area > best.area) {
+        best = { url: url, area: area };
+      }
+    });
+    return best.url;
+  } catch (e) {
+    // Not valid JSON, continue to other methods
+    return '';
+  }
+}
+
+/**
+ * Extracts item image/thumbnail URL from element
+ * @param {HTMLElement} element - DOM element
+ * @param {string} origin - Marketplace origin for relative links
+ * @param {Array<string>} imageSelectors - Selectors to try in order (profile fields.image)
+ * @returns {string} - Image URL or empty string
+ */
+function extractItemImage(element, origin, imageSelectors) {
+  for (const selector of imageSelectors) {
+    const img = element.querySelector(selector);
+    if (img) {
+      // Check for data-a-dynamic-image first (Amazon's JSON image object)
+      const dynamicImageUrl = getLargestDynamicImage(img.getAttribute('data-a-dynamic-image'));
+      if (dynamicImageUrl) {
+        return toAbsoluteUrl(dynamicImageUrl, origin);
+      }
+      
+      // Try data-src (lazy loading)
+      let imageUrl = img.getAttribute('data-src');
+      if (imageUrl) {
+        return toAbsoluteUrl(imageUrl, origin);
+      }
+      
+      // Try src attribute
+      imageUrl = img.getAttribute('src') || img.src;
+      if (imageUrl) {
+        // Skip placeholder images
+        if (imageUrl.includes('pixel') || imageUrl.includes('placeholder') || imageUrl.includes('data:image')) {
+          continue;
+        }
+        
+        return toAbsoluteUrl(imageUrl, origin);
+      }
+    }
+  }
+  
+  // Fallback: look for any img tag
+  const anyImg = element.querySelector('img');
+  if (anyImg) {
+    let imageUrl = anyImg.src || anyImg.getAttribute('src');
+    if (imageUrl && !imageUrl.includes('pixel') && !imageUrl.includes('placeholder')) {
+      return toAbsoluteUrl(imageUrl, origin);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts availability/stock text from element
+ * @param {HTMLElement} element - DOM element
+ * @returns {string} - Availability text or empty string
+ */
+function extractItemAvailability(element) {
+  return getElementText(element, '[id^="availability_"], .itemAvailability, .itemAvailMessage');
+}
+
+/**
+ * Returns the whitespace-collapsed text of the first matching child element
+ * @param {HTMLElement} element - DOM element
+ * @param {string} selector - CSS selector
+ * @returns {string} - Text or empty string if no element matches
+ */
+function getElementText(element, selector) {
+  const match = element.querySelector(selector);
+  return match?.textContent?.trim().replace(/\s+/g, ' ') || '';
+}
+
+/**
+ * Extracts requested ("needs") and purchased ("has") quantities
+ * @param {HTMLElement} element - DOM element
+ * @returns {Object} - { requested, purchased }, each a number or null
+ */
+function extractItemQuantities(element) {
+  const toCount = (text) => {
+    const match = text.match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+  };
+  
+  return {
+    requested: toCount(getElementText(element, '[id^="itemRequested_"]')),
+    purchased: toCount(getElementText(element, '[id^="itemPurchased_"]'))
+  };
+}
+
+/**
+ * Converts the displayed "date added" text to an ISO date
+ * Handles "October 3, 2025", "3 October 2025", "03.10.2025", "2025/10/03"
+ * and "2025年10月3日"; other formats are left unparsed
+ * @param {string} text - Displayed date text, possibly with an "Added" prefix
+ * @returns {string} - YYYY-MM-DD or empty string
+ */
+function parseAddedDate(text) {
+  if (!text) return '';
+  
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const toIsoDate = (year, month, day) => {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return '';
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  };
+  
+  let match = text.match(/(\d{4})\s*[/\-年.]\s*(\d{1,2})\s*[/\-月.]\s*(\d{1,2})/);
+  if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+  
+  match = text.match(/(\d{1,2})\s*[./]\s*(\d{1,2})\s*[./]\s*(\d{4})/);
+  if (match) return toIsoDate(+match[3], +match[2], +match[1]);
+  
+  match = text.match(/([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && months.includes(match[1].toLowerCase())) {
+    return toIsoDate(+match[3], months.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  }
+  
+  match = text.match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\.?\s+(\d{4})/);
+  if (match && months.includes(match[2].toLowerCase())) {
+    return toIsoDate(+match[3], months.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  }
+  
+  return '';
+}
+
+/**
+ * Extracts the star rating (0-5)
+ * @param {HTMLElement} element - DOM element
+ * @returns {number|null} - Rating or null if not shown
+ */
+function extractItemRating(element) {
+  const starsEl = element.querySelector('[id^="review_stars_"] i, i[class*="a-star"]');
+  if (!starsEl) return null;
+  
+  // Star icons encode the rating in their class, e.g. a-star-small-4-5
+  const classMatch = starsEl.className.match(/a-star(?:-mini|-small|-medium)?-(\d)(?:-(\d))?\b/);
+  if (classMatch) {
+    return parseFloat(`${classMatch[1]}.${classMatch[2] || 0}`);
+  }
+  
+  // Otherwise read the alt text, e.g. "4.5 out of 5 stars" or "4,5 von 5 Sternen"
+  const altMatch = (starsEl.textContent || '').match(/\d(?:[.,]\d)?/);
+  return altMatch ? parseFloat(altMatch[0].replace(',', '.')) : null;
+}
+
+/**
+ * Extracts the number of customer reviews
+ * @param {HTMLElement} element - DOM element
+ * @returns {number|null} - Review count or null if not shown
+ */
+function extractItemReviewCount(element) {
+  const digits = getElementText(element, '[id^="review_count_"]').replace(/\D/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Extracts the seller shown for the item's offer
+ * @param {HTMLElement} element - DOM element
+ * @returns {string} - Seller name or empty string
+ */
+function extractItemSeller(element) {
+  const text = getElementText(element, '[id^="offered-by_"], [id^="item-seller_"], .itemSeller');
+  return text.replace(/^(?:offered|sold)\s+by\s*:?\s*/i, '');
+}
+
+/**
+ * Finds the element to collect an item from on a search results or other listing page
+ * Prefers the search result card for the ASIN, then any product card carrying it,
+ * then the container around a link to its product page
+ * @param {Document|HTMLElement} root - Page to search
+ * @param {string} asin - ASIN of the item
+ * @returns {HTMLElement|null}
+ */
+function findProductCard(root, asin) {
+  const card = root.querySelector(`[data-component-type="s-search-result"][data-asin="${asin}"]`) ||
+               root.querySelector(`[data-asin="${asin}"]:not(input)`);
+  if (card) return card;
+  
+  const link = root.querySelector(`a[href*="/dp/${asin}"], a[href*="/gp/product/${asin}"]`);
+  if (!link) return null;
+  return link.closest('li, .a-carousel-card, [data-asin]') || link.parentElement || link;
+}
+
+/**
+ * Extracts the product shown on a product (/dp/) page, in the same shape as extractItemData()
+ * Fields that only exist on lists (quantities, priority, comment, date added) stay empty.
+ * Prices and images are read from the buy box and image block only, since the rest
+ * of the page is full of other products
+ * @param {Document} doc - Product page
+ * @param {Object} marketplace - Marketplace the page belongs to
+ * @param {Object} profile - Selector profile
+ * @param {string} asin - ASIN of the product
+ * @returns {Object|null} - Item data object or null if the page shows no product
+ */
+function extractProductPageItem(doc, marketplace, profile, asin) {
+  const name = getElementText(doc, '#productTitle, #title');
+  if (!name) return null;
+  
+  const origin = getMarketplaceOrigin(marketplace);
+  const priceBox = doc.querySelector(
+    '#corePrice_feature_div, #corePriceDisplay_desktop_feature_div, #corePrice_desktop, #apex_desktop'
+  );
+  const price = priceBox
+    ? extractItemPrice(priceBox, marketplace, profile.fields.price, profile.exclude?.price)
+    : null;
+  const listPrice = priceBox ? extractListPrice(priceBox, marketplace) : null;
+  const imageBlock = doc.querySelector('#imgTagWrapperId, #main-image-container, #imageBlock');
+  const reviews = doc.querySelector('#averageCustomerReviews, #acrPopover');
+  const reviewDigits = getElementText(doc, '#acrCustomerReviewText').replace(/\D/g, '');
+  const seller = getElementText(doc, '#sellerProfileTriggerId') ||
+                 getElementText(doc, '#merchant-info, #merchantInfoFeature_feature_div .offer-display-feature-text');
+  const variant = Array.from(doc.querySelectorAll('#twister .selection, [id^="inline-twister-expanded-dimension-text-"]'))
+    .map(el => el.textContent.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join(', ');
+  
+  return {
+    name: name,
+    asin: asin,
+    price: price ? price.amount : null,
+    currency: (price || listPrice)?.currency || '',
+    priceText: price ? price.text : '',
+    listPrice: listPrice ? listPrice.amount : null,
+    priceWhenAdded: null,
+    url: `${origin}/dp/${asin}`,
+    image: imageBlock ? extractItemImage(imageBlock, origin, profile.fields.image) : '',
+    availability: getElementText(doc, '#availability'),
+    requestedQuantity: null,
+    purchasedQuantity: null,
+    priority: '',
+    comment: '',
+    dateAdded: '',
+    dateAddedText: '',
+    rating: reviews ? extractItemRating(reviews) : null,
+    reviewCount: reviewDigits ? parseInt(reviewDigits, 10) : null,
+    seller: seller.replace(/^(?:ships from and )?(?:offered|sold)\s+by\s*:?\s*/i, '').replace(/\.$/, ''),
+    prime: !!doc.querySelector('#primeBadge, #buybox i.a-icon-prime, #desktop_buybox i.a-icon-prime'),
+    variant: variant,
+    marketplace: marketplace.domain
+  };
+}
+
+/**
+ * Starts a diagnostics report for one scrape
+ * @param {Object} profile - Selector profile in use
+ * @param {string} pageUrl - URL of the scraped page
+ * @returns {Object} - Report filled in by the record* functions
+ */
+function createScrapeDiagnostics(profile, pageUrl) {
+  // Fields whose fill rate is reported; asin is always filled, since items without one are skipped
+  const fields = [
+    'name', 'price', 'listPrice', 'priceWhenAdded', 'image', 'availability',
+    'requestedQuantity', 'purchasedQuantity', 'priority', 'comment', 'dateAdded',
+    'rating', 'reviewCount', 'seller', 'variant'
+  ];
+  
+  return {
+    profile: { name: profile.name, version: profile.version },
+    url: pageUrl,
+    startedAt: new Date().toISOString(),
+    pages: 0,
+    strategies: {},
+    itemCount: 0,
+    skipped: { count: 0, samples: [] },
+    fields: Object.fromEntries(fields.map(field => [field, { filled: 0, samples: [] }]))
+  };
+}
+
+/**
+ * Returns a shortened copy of an element's markup for a diagnostics sample
+ * @param {HTMLElement} element - Item element
+ * @returns {string}
+ */
+function getDiagnosticSample(element) {
+  const maxLength = 2000;
+  const html = element.outerHTML.replace(/\s+/g, ' ');
+  return html.length > maxLength ? `${html.substring(0, maxLength)}...` : html;
+}
+
+/**
+ * Counts which item strategy matched a page
+ * @param {Object} diagnostics - Report from createScrapeDiagnostics()
+ * @param {string} strategy - Strategy ID, or '' when nothing matched
+ */
+function recordPageDiagnostics(diagnostics, strategy) {
+  const key = strategy || 'none';
+  diagnostics.pages++;
+  diagnostics.strategies[key] = (diagnostics.strategies[key] || 0) + 1;
+}
+
+/**
+ * Records which fields an item filled, keeping sample markup for misses
+ * @param {Object} diagnostics - Report from createScrapeDiagnostics()
+ * @param {HTMLElement} element - Item element
+ * @param {Object} item - Extracted item
+ */
+function recordItemDiagnostics(diagnostics, element, item) {
+  const maxSamples = 3;
+  diagnostics.itemCount++;
+  
+  Object.entries(diagnostics.fields).forEach(([field, stats]) => {
+    const value = item[field];
+    const missing = value === null || value === undefined || value === '' ||
+      (field === 'name' && value === 'Unknown Item');
+    
+    if (!missing) {
+      stats.filled++;
+    } else if (stats.samples.length < maxSamples) {
+      stats.samples.push({ asin: item.asin, html: getDiagnosticSample(element) });
+    }
+  });
+}
+
+/**
+ * Records an item element that was dropped because no ASIN was found
+ * @param {Object} diagnostics - Report from createScrapeDiagnostics()
+ * @param {HTMLElement} element - Item element
+ */
+function recordSkippedElement(diagnostics, element) {
+  const maxSamples = 3;
+  diagnostics.skipped.count++;
+  if (diagnostics.skipped.samples.length < maxSamples) {
+    diagnostics.skipped.samples.push(getDiagnosticSample(element));
+  }
+}
+
+/**
+ * Turns field counts into fill rates
+ * @param {Object} diagnostics - Report from createScrapeDiagnostics()
+ * @returns {Object} - Finished report
+ */
+function finishScrapeDiagnostics(diagnostics) {
+  const fields = Object.entries(diagnostics.fields).map(([field, stats]) => ({
+    field: field,
+    filled: stats.filled,
+    fillRate: diagnostics.itemCount > 0 ? Math.round((stats.filled / diagnostics.itemCount) * 100) : 0,
+    samples: stats.samples
+  }));
+  
+  return { ...diagnostics, finishedAt: new Date().toISOString(), fields: fields };
+}
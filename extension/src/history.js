@@ -0,0 +1,175 @@
+// Scrape history for Amazon Wishlist Scraper
+// Persists dated snapshots per wishlist in chrome.storage.local and diffs them
+
+const SNAPSHOT_INDEX_KEY = 'snapshotIndex';
+const SNAPSHOT_KEY_PREFIX = 'snapshots:';
+const MAX_SNAPSHOTS_PER_LIST = 100;
+
+/**
+ * Builds the key identifying a wishlist across marketplaces
+ * List IDs are only unique within a marketplace, so both are combined
+ * @param {Object} list - List info ({ id, marketplace })
+ * @returns {string} - List key such as 'amazon.de:3K2J9XYZ'
+ */
+function getListKey(list) {
+  return `${list.marketplace}:${list.id}`;
+}
+
+/**
+ * Returns the index of all wishlists that have snapshots
+ * @returns {Promise<Array>} - [{ key, id, name, marketplace, url, count, lastTakenAt }]
+ */
+async function getSnapshotLists() {
+  const data = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+  const index = data[SNAPSHOT_INDEX_KEY] || {};
+  return Object.values(index).sort((a, b) => b.lastTakenAt.localeCompare(a.lastTakenAt));
+}
+
+/**
+ * Returns all snapshots stored for a wishlist, oldest first
+ * @param {string} listKey - Key from getListKey()
+ * @returns {Promise<Array>} - Snapshot objects
+ */
+async function getSnapshots(listKey) {
+  const storageKey = SNAPSHOT_KEY_PREFIX + listKey;
+  const data = await chrome.storage.local.get(storageKey);
+  return data[storageKey] || [];
+}
+
+/**
+ * Returns the most recent snapshot for a wishlist
+ * @param {string} listKey - Key from getListKey()
+ * @returns {Promise<Object|null>} - Latest snapshot or null
+ */
+async function getLatestSnapshot(listKey) {
+  const snapshots = await getSnapshots(listKey);
+  return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+}
+
+/**
+ * Stores a new dated snapshot of a wishlist
+ * Oldest snapshots are pruned beyond MAX_SNAPSHOTS_PER_LIST
+ * @param {Object} list - List info ({ id, name, url, marketplace })
+ * @param {Array} items - Scraped items
+ * @returns {Promise<Object>} - The stored snapshot
+ */
+async function saveSnapshot(list, items) {
+  const listKey = getListKey(list);
+  const takenAt = new Date().toISOString();
+  const snapshot = {
+    id: `${Date.now()}`,
+    listKey: listKey,
+    listId: list.id,
+    listName: list.name || '',
+    marketplace: list.marketplace,
+    url: list.url || '',
+    takenAt: takenAt,
+    items: items
+  };
+
+  const snapshots = await getSnapshots(listKey);
+  snapshots.push(snapshot);
+  const kept = snapshots.slice(-MAX_SNAPSHOTS_PER_LIST);
+
+  const data = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+  const index = data[SNAPSHOT_INDEX_KEY] || {};
+  index[listKey] = {
+    key: listKey,
+    id: list.id,
+    name: snapshot.listName,
+    marketplace: list.marketplace,
+    url: snapshot.url,
+    count: kept.length,
+    lastTakenAt: takenAt
+  };
+
+  await chrome.storage.local.set({
+    [SNAPSHOT_KEY_PREFIX + listKey]: kept,
+    [SNAPSHOT_INDEX_KEY]: index
+  });
+
+  return snapshot;
+}
+
+/**
+ * Compares two snapshots of the same wishlist
+ * Produces one change row per item and kind of change, which keeps the
+ * result flat enough for the CSV exporter
+ * @param {Object} older - Earlier snapshot
+ * @param {Object} newer - Later snapshot
+ * @returns {Object} - { from, to, summary, changes }
+ */
+function diffSnapshots(older, newer) {
+  const oldItems = new Map(older.items.map(item => [item.asin, item]));
+  const newItems = new Map(newer.items.map(item => [item.asin, item]));
+  const changes = [];
+
+  const baseRow = (item) => ({
+    asin: item.asin,
+    name: item.name,
+    url: item.url,
+    currency: item.currency || ''
+  });
+
+  newItems.forEach((item, asin) => {
+    const previous = oldItems.get(asin);
+
+    if (!previous) {
+      changes.push({ ...baseRow(item), change: 'added', oldValue: '', newValue: item.price });
+      return;
+    }
+
+    if (previous.price !== item.price) {
+      const hasBoth = typeof previous.price === 'number' && typeof item.price === 'number';
+      const amount = hasBoth ? Math.round((item.price - previous.price) * 100) / 100 : null;
+      const percent = hasBoth && previous.price !== 0
+        ? Math.round((amount / previous.price) * 10000) / 100
+        : null;
+      changes.push({
+        ...baseRow(item),
+        change: 'price',
+        oldValue: previous.price,
+        newValue: item.price,
+        priceChange: amount,
+        priceChangePercent: percent
+      });
+    }
+
+    if (previous.name !== item.name) {
+      changes.push({ ...baseRow(item), change: 'name', oldValue: previous.name, newValue: item.name });
+    }
+
+    if ((previous.availability || '') !== (item.availability || '')) {
+      changes.push({
+        ...baseRow(item),
+        change: 'availability',
+        oldValue: previous.availability || '',
+        newValue: item.availability || ''
+      });
+    }
+  });
+
+  oldItems.forEach((item, asin) => {
+    if (!newItems.has(asin)) {
+      changes.push({ ...baseRow(item), change: 'removed', oldValue: item.price, newValue: '' });
+    }
+  });
+
+  const count = (kind) => changes.filter(change => change.change === kind).length;
+
+  return {
+    from: { id: older.id, takenAt: older.takenAt, itemCount: older.items.length },
+    to: { id: newer.id, takenAt: newer.takenAt, itemCount: newer.items.length },
+    listId: newer.listId,
+    listName: newer.listName,
+    marketplace: newer.marketplace,
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      price: count('price'),
+      name: count('name'),
+      availability: count('availability')
+    },
+    changes: changes
+  };
+}
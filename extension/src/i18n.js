@@ -0,0 +1,208 @@
+// Language support for Amazon Wishlist Scraper
+// UI text comes from _locales/<language>/messages.json in the browser's language,
+// falling back to English. Amazon page text is matched per page language, so a
+// private list or a robot check is recognized on amazon.de as well as amazon.com.
+// Shared by the background worker, content script, popup and dashboard
+
+// Phrases Amazon shows on its own pages, by language. Every page is also checked
+// against English, which most marketplaces fall back to.
+// Declared with var so the file can be injected into a tab that already has it
+var PAGE_TEXT_PATTERNS = {
+  en: {
+    captcha: [
+      /enter the characters you see below/i,
+      /type the characters you see in this image/i,
+      /robot check/i
+    ],
+    throttled: [
+      /sorry[!,]? something went wrong/i,
+      /request (?:was|has been) throttled/i,
+      /service unavailable/i
+    ],
+    private: [
+      /this list is (?:private|not available)/i,
+      /you don[’']t have permission/i,
+      /this list doesn[’']t exist/i,
+      /sorry, we couldn[’']t find that list/i,
+      /the web address you entered is not a functioning page/i
+    ],
+    signIn: [
+      /sign in to (?:view|see|access) (?:this|your) (?:list|registry|cart)/i
+    ],
+    unavailable: [
+      /currently unavailable/i,
+      /out of stock/i,
+      /not available/i
+    ]
+  },
+  de: {
+    captcha: [
+      /geben sie die (?:unten )?(?:angezeigten )?zeichen ein/i,
+      /roboter[- ]?(?:check|überprüfung)/i
+    ],
+    throttled: [
+      /tut uns leid[!,]? ein fehler ist aufgetreten/i,
+      /etwas ist schiefgelaufen/i
+    ],
+    private: [
+      /diese liste ist (?:privat|nicht verfügbar)/i,
+      /sie haben keine berechtigung/i,
+      /diese liste existiert nicht/i,
+      /wir konnten (?:diese|die) liste nicht finden/i
+    ],
+    signIn: [
+      /melden sie sich an, um (?:diese|ihre) (?:liste|geschenkeliste|babyliste|hochzeitsliste|einkaufswagen)/i
+    ],
+    unavailable: [
+      /nicht (?:auf lager|verfügbar)/i,
+      /ausverkauft/i
+    ]
+  },
+  fr: {
+    captcha: [
+      /saisissez les caractères (?:que vous voyez|affichés)/i,
+      /vérification (?:de sécurité|robot)/i
+    ],
+    throttled: [
+      /(?:désolé|nous sommes désolés)[!,]? une erreur (?:est survenue|s['’]est produite)/i,
+      /un problème est survenu/i
+    ],
+    private: [
+      /cette liste est (?:privée|indisponible)/i,
+      /cette liste n['’](?:est pas disponible|existe pas)/i,
+      /vous n['’]avez pas (?:l['’]autorisation|la permission)/i,
+      /nous n['’]avons pas trouvé cette liste/i
+    ],
+    signIn: [
+      /identifiez-vous pour (?:voir|consulter|accéder à) (?:cette|votre) (?:liste|panier)/i,
+      /connectez-vous pour (?:voir|consulter|accéder à) (?:cette|votre) (?:liste|panier)/i
+    ],
+    unavailable: [
+      /actuellement indisponible/i,
+      /rupture de stock/i,
+      /non disponible/i
+    ]
+  },
+  es: {
+    captcha: [
+      /introduce los caracteres que (?:ves|aparecen)/i,
+      /comprobación de robot/i
+    ],
+    throttled: [
+      /lo sentimos[!,]? algo (?:ha ido|salió) mal/i,
+      /se ha producido un error/i
+    ],
+    private: [
+      /esta lista (?:es privada|no está disponible|no existe)/i,
+      /no tienes permiso/i,
+      /no hemos podido encontrar esa lista/i
+    ],
+    signIn: [
+      /(?:identifícate|inicia sesión) para (?:ver|consultar|acceder a) (?:esta|tu) (?:lista|cesta|carrito)/i
+    ],
+    unavailable: [
+      /no disponible/i,
+      /agotado/i,
+      /sin stock/i
+    ]
+  },
+  ja: {
+    captcha: [
+      /(?:下に表示されている|表示されている)文字を入力してください/,
+      /ロボットではないことを確認/
+    ],
+    throttled: [
+      /申し訳ございません。?問題が発生しました/
+    ],
+    private: [
+      /このリストは(?:非公開|利用できません|存在しません)/,
+      /アクセス権限がありません/,
+      /リストが見つかりませんでした/
+    ],
+    signIn: [
+      /(?:リスト|カート)を(?:表示|閲覧)するには(?:ログイン|サインイン)/
+    ],
+    unavailable: [
+      /在庫切れ/,
+      /現在お取り扱いできません/,
+      /在庫がありません/
+    ]
+  }
+};
+
+/**
+ * Returns a UI message in the browser's language
+ * @param {string} key - Message name from _locales/en/messages.json
+ * @param {Array|string|number} [substitutions] - Values for the message's placeholders, in order
+ * @returns {string} - Message, or the key itself if no catalog has it
+ */
+function t(key, substitutions) {
+  const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * Returns a message that depends on a count, using the key's _one or _other variant
+ * (e.g. 'itemCount_one' for "1 item", 'itemCount_other' for "3 items")
+ * @param {string} key - Message name without the suffix
+ * @param {number} count - Count, passed as the first substitution
+ * @param {Array} [substitutions] - Further values for the message's placeholders
+ * @returns {string} - Message
+ */
+function tPlural(key, count, substitutions = []) {
+  return t(`${key}_${count === 1 ? 'one' : 'other'}`, [count].concat(substitutions));
+}
+
+/**
+ * Fills in the text of a page's marked elements: data-i18n for the text,
+ * data-i18n-title for the tooltip and data-i18n-placeholder for inputs.
+ * The English text in the HTML stays when a message is missing.
+ * @param {Document|Element} root - Page or part of it to localize
+ */
+function localizePage(root) {
+  const apply = (attribute, setter) => {
+    root.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const message = chrome.i18n.getMessage(element.getAttribute(attribute));
+      if (message) setter(element, message);
+    });
+  };
+
+  apply('data-i18n', (element, message) => { element.textContent = message; });
+  apply('data-i18n-title', (element, message) => { element.title = message; });
+  apply('data-i18n-placeholder', (element, message) => { element.placeholder = message; });
+}
+
+/**
+ * Returns the language code of a locale (e.g. 'de' for 'de-DE')
+ * @param {string} locale - Locale or language tag
+ * @returns {string} - Lowercase language code, or empty string
+ */
+function getLanguageCode(locale) {
+  return (locale || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Returns the language of a marketplace's pages (e.g. 'ja' for amazon.co.jp)
+ * @param {string} domain - Marketplace domain
+ * @returns {string} - Language code, 'en' if the marketplace is unknown
+ */
+function getMarketplaceLanguage(domain) {
+  const marketplace = getMarketplaceByDomain(domain || '');
+  return marketplace ? getLanguageCode(marketplace.locale) : 'en';
+}
+
+/**
+ * Checks text from an Amazon page against the phrases of one kind, in the page's
+ * language and in English
+ * @param {string} text - Page or field text
+ * @param {string} kind - 'captcha', 'throttled', 'private', 'signIn' or 'unavailable'
+ * @param {string} [language] - Page language (e.g. 'de' or 'de-DE'), English if omitted
+ * @returns {boolean}
+ */
+function matchesPageText(text, kind, language) {
+  const localized = PAGE_TEXT_PATTERNS[getLanguageCode(language)];
+  const patterns = localized && localized !== PAGE_TEXT_PATTERNS.en
+    ? PAGE_TEXT_PATTERNS.en[kind].concat(localized[kind])
+    : PAGE_TEXT_PATTERNS.en[kind];
+  return patterns.some(pattern => pattern.test(text));
+}
@@ -0,0 +1,251 @@
+// Import of exported files for Amazon Wishlist Scraper
+// Reads CSV/JSON files written by exportToCSV/exportToJSON, and saved wishlist
+// pages, back into item objects
+
+const NUMERIC_FIELDS = [
+  'price',
+  'listPrice',
+  'priceWhenAdded',
+  'requestedQuantity',
+  'purchasedQuantity',
+  'cartQuantity',
+  'rating',
+  'reviewCount'
+];
+const BOOLEAN_FIELDS = ['prime'];
+
+/**
+ * Guesses the CSV delimiter from the header line
+ * @param {string} text - CSV text
+ * @returns {string} - ',', ';' or tab
+ */
+function detectCSVDelimiter(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const counts = Object.values(CSV_DELIMITERS).map(delimiter => ({
+    delimiter: delimiter,
+    count: headerLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Parses CSV text into rows of fields
+ * Follows the quoting written by escapeCSVField: quoted fields may contain the
+ * delimiter, line breaks and doubled quotes
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Converts exported CSV rows into raw item objects keyed by item field
+ * Headers are matched against ITEM_COLUMNS, so any column order or subset works
+ * @param {string} text - CSV text
+ * @returns {Array} - Raw item objects (string values)
+ */
+function parseItemsCSV(text) {
+  const rows = parseCSV(text, detectCSVDelimiter(text));
+  if (rows.length === 0) return [];
+
+  const fieldIds = rows[0].map((header) => {
+    const name = header.trim().toLowerCase();
+    const column = ITEM_COLUMNS.find(c => c.header.toLowerCase() === name || c.id.toLowerCase() === name);
+    return column ? column.id : null;
+  });
+
+  if (!fieldIds.includes('asin') && !fieldIds.includes('url')) {
+    throw new Error(t('errCsvNoAsinColumn'));
+  }
+
+  return rows.slice(1).map((fields) => {
+    const raw = {};
+    fieldIds.forEach((id, index) => {
+      if (id) raw[id] = fields[index] ?? '';
+    });
+    return raw;
+  });
+}
+
+/**
+ * Reads raw item objects from exported JSON
+ * @param {string} text - JSON text
+ * @returns {Array} - Raw item objects
+ */
+function parseItemsJSON(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data && data.items;
+  if (!Array.isArray(items)) {
+    throw new Error(t('errJsonNotList'));
+  }
+  return items.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * Restores field types lost in CSV and validates the ASIN
+ * @param {Object} raw - Raw item object
+ * @returns {Object|null} - Item, or null when no valid ASIN can be found
+ */
+function normalizeImportedItem(raw) {
+  const asin = extractASIN(String(raw.asin || '')) || (raw.url ? extractASIN(String(raw.url)) : '');
+  if (!asin) return null;
+
+  const item = { ...raw, asin: asin };
+
+  NUMERIC_FIELDS.forEach((field) => {
+    if (!(field in item) || typeof item[field] === 'number') return;
+    const value = String(item[field] ?? '').trim();
+    const number = value === '' ? NaN : Number(value);
+    item[field] = Number.isFinite(number) ? number : null;
+  });
+
+  BOOLEAN_FIELDS.forEach((field) => {
+    if (!(field in item) || typeof item[field] === 'boolean') return;
+    item[field] = String(item[field]).trim().toLowerCase() === 'true';
+  });
+
+  return item;
+}
+
+/**
+ * Parses an exported CSV or JSON file
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used to tell CSV from JSON
+ * @returns {Object} - { items, skipped } where skipped counts rows without a valid ASIN
+ */
+function parseImportFile(text, filename) {
+  // Exports may start with a byte order mark
+  const content = text.replace(/^\uFEFF/, '');
+  const isJSON = /\.json$/i.test(filename) || /^\s*[[{]/.test(content);
+  const rawItems = isJSON ? parseItemsJSON(content) : parseItemsCSV(content);
+
+  const items = rawItems.map(normalizeImportedItem).filter(Boolean);
+  return { items: items, skipped: rawItems.length - items.length };
+}
+
+/**
+ * Finds the Amazon URL a saved page was downloaded from
+ * Browsers record it in a "saved from url" comment; canonical and og:url tags
+ * and absolute Amazon links are used when that is missing
+ * @param {Document} doc - Parsed page
+ * @param {string} html - Raw page source
+ * @returns {string} - Amazon URL or empty string
+ */
+function getSavedPageUrl(doc, html) {
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  const candidates = [
+    savedFrom ? savedFrom[1] : '',
+    doc.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+    doc.querySelector('meta[property="og:url"]')?.getAttribute('content'),
+    doc.querySelector('base[href]')?.getAttribute('href'),
+    ...Array.from(doc.querySelectorAll('a[href^="https://www.amazon."]'), link => link.getAttribute('href'))
+  ];
+  
+  return candidates.find(url => url && isAmazonUrl(url)) || '';
+}
+
+/**
+ * Extracts wishlist items from a saved ("Save page as") wishlist HTML file
+ * Runs the same extraction as a live scrape, but on a parsed copy of the page;
+ * relative links resolve against the marketplace the page was saved from
+ * @param {string} html - Page source
+ * @param {Object} profile - Selector profile
+ * @param {boolean} withDiagnostics - Also build a diagnostics report
+ * @returns {Object} - { items, list, diagnostics? }
+ * @throws {Error} - When the marketplace is unknown, the page is a robot check or
+ *   sign-in page, or no items are found; carries a code from ERROR_CODES, and the
+ *   diagnostics report when one was requested
+ */
+function parseSavedWishlist(html, profile, withDiagnostics) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const pageUrl = getSavedPageUrl(doc, html);
+  const marketplace = pageUrl ? getMarketplaceFromUrl(pageUrl) : null;
+  if (!marketplace) {
+    throw createScrapeError(ERROR_CODES.UNSUPPORTED_MARKETPLACE, t('errSavedMarketplace'));
+  }
+  const blocked = detectBlockedPage(doc, pageUrl);
+  if (blocked) {
+    throw blocked;
+  }
+  
+  // Pages of unknown type are read as wishlists, which have the most general strategies
+  const pageType = detectPageType(doc, pageUrl) || getPageTypeById('wishlist');
+  const diagnostics = withDiagnostics ? createScrapeDiagnostics(profile, pageUrl) : null;
+  const items = extractPageItems(doc, pageType, marketplace, profile, new Set(), diagnostics);
+  const report = diagnostics ? finishScrapeDiagnostics(diagnostics) : undefined;
+  if (items.length === 0) {
+    // Keep the report with the error, since it shows which strategies were tried
+    const error = explainMissingItems(doc, pageUrl) ||
+      createScrapeError(ERROR_CODES.SELECTOR_MISS, t('errNoItemsInFile', t(`pageType_${pageType.id}`)));
+    error.diagnostics = report;
+    throw error;
+  }
+  
+  const list = getPageListInfo(doc, pageUrl, pageType);
+  return {
+    items: items.map(item => ({
+      ...item,
+      // "Save page as" rewrites images to local files next to the page, which can't be used here
+      image: /^https?:\/\//.test(item.image) ? item.image : '',
+      listId: item.listId || list.id,
+      listName: item.listName || list.name
+    })),
+    list: list,
+    diagnostics: report
+  };
+}
+
+/**
+ * Merges two item lists, keeping one entry per ASIN
+ * Items in the primary list win, so fresh scrape data replaces imported data
+ * @param {Array} primary - Preferred items (e.g. a fresh scrape)
+ * @param {Array} secondary - Items added only if their ASIN is not in primary
+ * @returns {Array} - Merged items
+ */
+function mergeItemsByAsin(primary, secondary) {
+  const asins = new Set(primary.map(item => item.asin));
+  return [...primary, ...secondary.filter(item => !asins.has(item.asin))];
+}
@@ -0,0 +1,125 @@
+// Amazon marketplace definitions for Amazon Wishlist Scraper
+// Shared by the background worker, content script and popup
+
+// Declared with var so the file can be injected into a tab that already has it
+var MARKETPLACES = [
+  { id: 'US', domain: 'amazon.com', currency: 'USD', locale: 'en-US' },
+  { id: 'CA', domain: 'amazon.ca', currency: 'CAD', locale: 'en-CA' },
+  { id: 'MX', domain: 'amazon.com.mx', currency: 'MXN', locale: 'es-MX' },
+  { id: 'BR', domain: 'amazon.com.br', currency: 'BRL', locale: 'pt-BR' },
+  { id: 'UK', domain: 'amazon.co.uk', currency: 'GBP', locale: 'en-GB' },
+  { id: 'DE', domain: 'amazon.de', currency: 'EUR', locale: 'de-DE' },
+  { id: 'FR', domain: 'amazon.fr', currency: 'EUR', locale: 'fr-FR' },
+  { id: 'IT', domain: 'amazon.it', currency: 'EUR', locale: 'it-IT' },
+  { id: 'ES', domain: 'amazon.es', currency: 'EUR', locale: 'es-ES' },
+  { id: 'NL', domain: 'amazon.nl', currency: 'EUR', locale: 'nl-NL' },
+  { id: 'BE', domain: 'amazon.com.be', currency: 'EUR', locale: 'fr-BE' },
+  { id: 'SE', domain: 'amazon.se', currency: 'SEK', locale: 'sv-SE' },
+  { id: 'PL', domain: 'amazon.pl', currency: 'PLN', locale: 'pl-PL' },
+  { id: 'TR', domain: 'amazon.com.tr', currency: 'TRY', locale: 'tr-TR' },
+  { id: 'AE', domain: 'amazon.ae', currency: 'AED', locale: 'en-AE' },
+  { id: 'SA', domain: 'amazon.sa', currency: 'SAR', locale: 'ar-SA' },
+  { id: 'EG', domain: 'amazon.eg', currency: 'EGP', locale: 'ar-EG' },
+  { id: 'IN', domain: 'amazon.in', currency: 'INR', locale: 'en-IN' },
+  { id: 'JP', domain: 'amazon.co.jp', currency: 'JPY', locale: 'ja-JP' },
+  { id: 'SG', domain: 'amazon.sg', currency: 'SGD', locale: 'en-SG' },
+  { id: 'AU', domain: 'amazon.com.au', currency: 'AUD', locale: 'en-AU' }
+];
+
+/**
+ * Finds the marketplace a URL belongs to
+ * @param {string} url - Page or item URL
+ * @returns {Object|null} - Marketplace definition or null if not an Amazon store
+ */
+function getMarketplaceFromUrl(url) {
+  if (!url) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+
+  // Strip subdomains such as www. or smile. before comparing
+  return MARKETPLACES.find(marketplace =>
+    hostname === marketplace.domain || hostname.endsWith(`.${marketplace.domain}`)
+  ) || null;
+}
+
+/**
+ * Looks up a marketplace by its domain (e.g. 'amazon.de')
+ * @param {string} domain - Marketplace domain
+ * @returns {Object|null} - Marketplace definition or null
+ */
+function getMarketplaceByDomain(domain) {
+  return MARKETPLACES.find(marketplace => marketplace.domain === domain) || null;
+}
+
+/**
+ * Checks if a URL points to a supported Amazon marketplace
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isAmazonUrl(url) {
+  return !!getMarketplaceFromUrl(url);
+}
+
+/**
+ * Returns the storefront origin for a marketplace
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {string} - Origin such as https://www.amazon.co.uk
+ */
+function getMarketplaceOrigin(marketplace) {
+  return `https://www.${marketplace.domain}`;
+}
+
+/**
+ * Extracts the wishlist ID from a wishlist URL
+ * Handles /hz/wishlist/ls/ID, /gp/registry/wishlist/ID and /wishlist/ID
+ * @param {string} url - Wishlist URL
+ * @returns {string} - List ID or empty string
+ */
+function getWishlistIdFromUrl(url) {
+  if (!url) return '';
+  const match = String(url).match(/\/(?:hz\/wishlist\/ls|registry\/wishlist|wishlist)\/([A-Z0-9]{8,20})(?:[/?#]|$)/i);
+  return match ? match[1].toUpperCase() : '';
+}
+
+// Amazon list pages the scraper can read, matched on the URL
+// Saved for Later has no page of its own: it is the lower part of the cart page
+var PAGE_TYPES = [
+  { id: 'wishlist', name: 'Wishlist', pattern: /wishlist/i },
+  { id: 'cart', name: 'Shopping Cart', pattern: /\/(?:gp\/cart\/view\.html|gp\/cart|cart)(?:[/?#]|$)/i },
+  { id: 'babyRegistry', name: 'Baby Registry', pattern: /\/baby-reg\//i },
+  { id: 'weddingRegistry', name: 'Wedding Registry', pattern: /\/wedding\/(?:registry|share|guest-view)\//i },
+  { id: 'ideaList', name: 'Idea List', pattern: /\/(?:idea-list|shop\/[^/?#]+\/list)\//i }
+];
+
+/**
+ * Finds the kind of list page a URL points to
+ * @param {string} url - Page URL
+ * @returns {Object|null} - Page type from PAGE_TYPES, or null if not a supported Amazon list page
+ */
+function getPageTypeFromUrl(url) {
+  if (!isAmazonUrl(url)) return null;
+
+  let path;
+  try {
+    const parsed = new URL(url);
+    path = parsed.pathname + parsed.search;
+  } catch (e) {
+    return null;
+  }
+
+  return PAGE_TYPES.find(pageType => pageType.pattern.test(path)) || null;
+}
+
+/**
+ * Looks up a page type by its ID (e.g. 'cart')
+ * @param {string} id - Page type ID
+ * @returns {Object|null} - Page type definition or null
+ */
+function getPageTypeById(id) {
+  return PAGE_TYPES.find(pageType => pageType.id === id) || null;
+}
@@ -0,0 +1,386 @@
+// Options page script for Amazon Wishlist Scraper
+// Edits the export settings used by the popup exporters, the selector profile
+// and the webhook
+
+// Column order being edited: [{ id, header, enabled }]
+let columnState = [];
+
+// DOM elements
+const columnListDiv = document.getElementById('columnList');
+const delimiterSelect = document.getElementById('delimiterSelect');
+const bomCheckbox = document.getElementById('bomCheckbox');
+const crlfCheckbox = document.getElementById('crlfCheckbox');
+const filenameTemplateInput = document.getElementById('filenameTemplateInput');
+const filenamePreviewDiv = document.getElementById('filenamePreview');
+const saveBtn = document.getElementById('saveBtn');
+const resetBtn = document.getElementById('resetBtn');
+const statusDiv = document.getElementById('status');
+const profileInfoDiv = document.getElementById('profileInfo');
+const importProfileBtn = document.getElementById('importProfileBtn');
+const exportProfileBtn = document.getElementById('exportProfileBtn');
+const resetProfileBtn = document.getElementById('resetProfileBtn');
+const profileFileInput = document.getElementById('profileFileInput');
+const diagnosticsCheckbox = document.getElementById('diagnosticsCheckbox');
+const profileStatusDiv = document.getElementById('profileStatus');
+const webhookEnabledCheckbox = document.getElementById('webhookEnabledCheckbox');
+const webhookUrlInput = document.getElementById('webhookUrlInput');
+const webhookModeSelect = document.getElementById('webhookModeSelect');
+const webhookRetriesInput = document.getElementById('webhookRetriesInput');
+const webhookHeadersInput = document.getElementById('webhookHeadersInput');
+const saveWebhookBtn = document.getElementById('saveWebhookBtn');
+const testWebhookBtn = document.getElementById('testWebhookBtn');
+const webhookStatusDiv = document.getElementById('webhookStatus');
+const clearWebhookLogBtn = document.getElementById('clearWebhookLogBtn');
+const webhookLogDiv = document.getElementById('webhookLog');
+
+/**
+ * Updates status message
+ * @param {string} message - Status message
+ * @param {string} type - Type: 'info', 'success', 'error'
+ * @param {HTMLElement} target - Status element to update
+ */
+function updateStatus(message, type = 'info', target = statusDiv) {
+  target.textContent = message;
+
+  if (type === 'error') {
+    target.style.color = '#ef4444'; // red
+  } else if (type === 'success') {
+    target.style.color = '#10b981'; // green
+  } else {
+    target.style.color = '#9ca3af'; // gray
+  }
+}
+
+/**
+ * Builds the editable column list from settings
+ * Selected columns come first in their saved order, the rest follow unticked
+ * @param {Object} settings - Export settings
+ * @returns {Array} - [{ id, header, enabled }]
+ */
+function buildColumnState(settings) {
+  const selected = getExportColumns(settings);
+  const selectedIds = new Set(selected.map(column => column.id));
+
+  return [
+    ...selected.map(column => ({ id: column.id, header: column.header, enabled: true })),
+    ...ITEM_COLUMNS
+      .filter(column => !selectedIds.has(column.id))
+      .map(column => ({ id: column.id, header: column.header, enabled: false }))
+  ];
+}
+
+/**
+ * Moves a column up or down in the list
+ * @param {number} index - Current position
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveColumn(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= columnState.length) return;
+
+  [columnState[index], columnState[target]] = [columnState[target], columnState[index]];
+  renderColumns();
+}
+
+/**
+ * Renders the column checkboxes with reorder buttons
+ */
+function renderColumns() {
+  columnListDiv.innerHTML = '';
+
+  columnState.forEach((column, index) => {
+    const row = document.createElement('div');
+    row.className = 'card flex items-center justify-between gap-2';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = column.enabled;
+    checkbox.addEventListener('change', () => {
+      column.enabled = checkbox.checked;
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${column.header}`));
+    row.appendChild(label);
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2';
+
+    const upButton = document.createElement('button');
+    upButton.className = 'btn btn-secondary btn-small';
+    upButton.textContent = '↑';
+    upButton.title = t('moveUp');
+    upButton.disabled = index === 0;
+    upButton.addEventListener('click', () => moveColumn(index, -1));
+
+    const downButton = document.createElement('button');
+    downButton.className = 'btn btn-secondary btn-small';
+    downButton.textContent = '↓';
+    downButton.title = t('moveDown');
+    downButton.disabled = index === columnState.length - 1;
+    downButton.addEventListener('click', () => moveColumn(index, 1));
+
+    actions.appendChild(upButton);
+    actions.appendChild(downButton);
+    row.appendChild(actions);
+
+    columnListDiv.appendChild(row);
+  });
+}
+
+/**
+ * Shows an example file name for the current template
+ */
+function renderFilenamePreview() {
+  const example = { id: '3K2J9XYZ', name: 'Birthday', marketplace: 'amazon.com' };
+  filenamePreviewDiv.textContent =
+    t('filenameExample', `${formatExportFilename(filenameTemplateInput.value, example)}.csv`);
+}
+
+/**
+ * Fills the form from settings
+ * @param {Object} settings - Export settings
+ */
+function renderSettings(settings) {
+  columnState = buildColumnState(settings);
+  renderColumns();
+  delimiterSelect.value = settings.delimiter;
+  bomCheckbox.checked = settings.includeBOM;
+  crlfCheckbox.checked = settings.crlf;
+  filenameTemplateInput.value = settings.filenameTemplate;
+  renderFilenamePreview();
+}
+
+/**
+ * Saves the form
+ */
+async function handleSave() {
+  const enabledIds = columnState.filter(column => column.enabled).map(column => column.id);
+  if (enabledIds.length === 0) {
+    updateStatus(t('selectOneColumn'), 'error');
+    return;
+  }
+
+  // Store null for the untouched default so columns added later are exported too
+  const isDefault = enabledIds.length === ITEM_COLUMNS.length &&
+    enabledIds.every((id, index) => id === ITEM_COLUMNS[index].id);
+
+  try {
+    await saveExportSettings({
+      columns: isDefault ? null : enabledIds,
+      delimiter: delimiterSelect.value,
+      includeBOM: bomCheckbox.checked,
+      crlf: crlfCheckbox.checked,
+      filenameTemplate: filenameTemplateInput.value.trim() || DEFAULT_EXPORT_SETTINGS.filenameTemplate
+    });
+    updateStatus(t('optionsSaved'), 'success');
+  } catch (error) {
+    updateStatus(t('saveOptionsError', error.message), 'error');
+  }
+}
+
+/**
+ * Restores the default settings in the form (saved on Save)
+ */
+function handleReset() {
+  renderSettings(DEFAULT_EXPORT_SETTINGS);
+  updateStatus(t('defaultsRestored', saveBtn.textContent), 'info');
+}
+
+/**
+ * Shows which selector profile is active
+ */
+async function renderProfileInfo() {
+  const profile = await getSelectorProfile();
+  const source = profile.importedAt
+    ? t('profileImportedAt', new Date(profile.importedAt).toLocaleString())
+    : t('profileBundled');
+  profileInfoDiv.textContent = t('activeProfile', [
+    profile.name,
+    profile.version,
+    source,
+    tPlural('itemStrategies', profile.items.length)
+  ]);
+  resetProfileBtn.disabled = !profile.importedAt;
+}
+
+/**
+ * Imports a selector profile from a JSON file
+ */
+async function handleImportProfile() {
+  const file = profileFileInput.files[0];
+  profileFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const profile = await saveSelectorProfile(JSON.parse(await file.text()));
+    await renderProfileInfo();
+    updateStatus(t('profileImported', [profile.name, profile.version]), 'success', profileStatusDiv);
+  } catch (error) {
+    updateStatus(t('profileImportError', error.message), 'error', profileStatusDiv);
+  }
+}
+
+/**
+ * Downloads the active selector profile as JSON
+ */
+async function handleExportProfile() {
+  const { importedAt, ...profile } = await getSelectorProfile();
+  exportToJSON(profile, formatExportFilename(`selector-profile-${profile.name}-v${profile.version}`, null));
+}
+
+/**
+ * Drops the imported profile and goes back to the built-in one
+ */
+async function handleResetProfile() {
+  await resetSelectorProfile();
+  await renderProfileInfo();
+  updateStatus(t('usingBuiltInProfile'), 'success', profileStatusDiv);
+}
+
+/**
+ * Fills the webhook form from settings
+ * @param {Object} settings - Webhook settings
+ */
+function renderWebhookSettings(settings) {
+  webhookEnabledCheckbox.checked = settings.enabled;
+  webhookUrlInput.value = settings.url;
+  webhookModeSelect.value = settings.mode;
+  webhookRetriesInput.value = settings.maxRetries;
+  webhookHeadersInput.value = formatWebhookHeaders(settings.headers);
+}
+
+/**
+ * Saves the webhook form, asking for access to the webhook's host first
+ * The permission prompt needs the click that triggered it, so it comes before
+ * anything else is awaited
+ */
+async function handleSaveWebhook() {
+  try {
+    const url = webhookUrlInput.value.trim();
+    if (url) {
+      const granted = await chrome.permissions.request({ origins: [getWebhookPermissionOrigin(url)] });
+      if (!granted) {
+        updateStatus(t('webhookPermissionDenied'), 'error', webhookStatusDiv);
+        return;
+      }
+    }
+
+    await saveWebhookSettings({
+      enabled: webhookEnabledCheckbox.checked,
+      url: url,
+      mode: webhookModeSelect.value,
+      maxRetries: webhookRetriesInput.value,
+      headers: parseWebhookHeaders(webhookHeadersInput.value)
+    });
+    updateStatus(t('webhookSaved'), 'success', webhookStatusDiv);
+  } catch (error) {
+    updateStatus(t('webhookSaveError', error.message), 'error', webhookStatusDiv);
+  }
+}
+
+/**
+ * Asks the background worker to post a sample payload to the saved webhook
+ */
+function handleTestWebhook() {
+  testWebhookBtn.disabled = true;
+  updateStatus(t('sendingTestPayload'), 'info', webhookStatusDiv);
+
+  chrome.runtime.sendMessage({ action: 'testWebhook' }, (response) => {
+    testWebhookBtn.disabled = false;
+    if (chrome.runtime.lastError || !response) {
+      updateStatus(t('errWorkerUnreachable'), 'error', webhookStatusDiv);
+    } else if (response.success) {
+      updateStatus(t('testDelivered', response.entry.httpStatus), 'success', webhookStatusDiv);
+    } else {
+      updateStatus(t('testFailed', response.entry ? response.entry.error : response.error), 'error', webhookStatusDiv);
+    }
+  });
+}
+
+/**
+ * Shows the most recent webhook deliveries
+ */
+async function renderWebhookLog() {
+  const log = await getWebhookLog();
+  webhookLogDiv.innerHTML = '';
+  clearWebhookLogBtn.disabled = log.length === 0;
+
+  if (log.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'text-sm text-gray-400';
+    empty.textContent = t('noDeliveries');
+    webhookLogDiv.appendChild(empty);
+    return;
+  }
+
+  log.slice(0, 20).forEach((entry) => {
+    const card = document.createElement('div');
+    card.className = 'card flex flex-col gap-2';
+
+    const title = document.createElement('div');
+    const statusKeys = { delivered: 'deliveryDelivered', pending: 'deliveryPending', failed: 'deliveryFailed' };
+    const statusClasses = { delivered: 'change-added', pending: 'delivery-pending', failed: 'change-removed' };
+    title.className = statusClasses[entry.status] || statusClasses.failed;
+    title.textContent = t(statusKeys[entry.status] || statusKeys.failed, [
+      entry.listName || t('unnamedList'),
+      t(`deliveryMode_${entry.event === 'test' ? 'test' : entry.mode}`)
+    ]);
+
+    const details = document.createElement('div');
+    details.className = 'text-gray-400';
+    details.textContent =
+      `${new Date(entry.startedAt).toLocaleString()} - ` +
+      tPlural('attempts', entry.attempts) +
+      (entry.httpStatus ? `, HTTP ${entry.httpStatus}` : '') +
+      (entry.nextAttemptAt ? `, ${t('nextAttempt', new Date(entry.nextAttemptAt).toLocaleTimeString())}` : '') +
+      (entry.error ? ` - ${entry.error}` : '');
+
+    card.appendChild(title);
+    card.appendChild(details);
+    webhookLogDiv.appendChild(card);
+  });
+}
+
+/**
+ * Empties the delivery log
+ */
+async function handleClearWebhookLog() {
+  await clearWebhookLog();
+  await renderWebhookLog();
+}
+
+// Event listeners
+saveBtn.addEventListener('click', handleSave);
+resetBtn.addEventListener('click', handleReset);
+filenameTemplateInput.addEventListener('input', renderFilenamePreview);
+importProfileBtn.addEventListener('click', () => profileFileInput.click());
+profileFileInput.addEventListener('change', handleImportProfile);
+exportProfileBtn.addEventListener('click', handleExportProfile);
+resetProfileBtn.addEventListener('click', handleResetProfile);
+diagnosticsCheckbox.addEventListener('change', async () => {
+  await setDiagnosticsEnabled(diagnosticsCheckbox.checked);
+  updateStatus(t(diagnosticsCheckbox.checked ? 'diagnosticsOn' : 'diagnosticsOff'), 'success', profileStatusDiv);
+});
+saveWebhookBtn.addEventListener('click', handleSaveWebhook);
+testWebhookBtn.addEventListener('click', handleTestWebhook);
+clearWebhookLogBtn.addEventListener('click', handleClearWebhookLog);
+
+// Deliveries are logged by the background worker while this page is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[WEBHOOK_LOG_KEY]) {
+    renderWebhookLog();
+  }
+});
+
+// Show the options in the browser's language
+localizePage(document);
+
+// Initialize
+getExportSettings().then(renderSettings);
+renderProfileInfo();
+isDiagnosticsEnabled().then((enabled) => {
+  diagnosticsCheckbox.checked = enabled;
+});
+getWebhookSettings().then(renderWebhookSettings);
+renderWebhookLog();
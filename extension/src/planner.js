@@ -0,0 +1,190 @@
+// Budget planner for Amazon Wishlist Scraper
+// Picks the set of items and quantities that best fits a spending cap,
+// favouring what the list owner ranked highest and still needs most
+
+// List priorities as Amazon shows them, with "highest" and "lowest" checked before
+// "high" and "low". Each level counts twice the one below, so a few copies of a
+// low-priority item don't outweigh a highest-priority one.
+// Items without a priority count as medium, Amazon's default
+const PRIORITY_WEIGHTS = [
+  { weight: 16, pattern: /highest|höchste|la plus haute|máxima|最高/i },
+  { weight: 1, pattern: /lowest|niedrigste|la plus basse|mínima|最低/i },
+  { weight: 8, pattern: /high|hoch|haute|alta|高/i },
+  { weight: 2, pattern: /low|niedrig|basse|baja|低/i },
+  { weight: 4, pattern: /medium|mittel|moyenne|media|中/i }
+];
+const DEFAULT_PRIORITY_WEIGHT = 4;
+
+// Most budget steps the optimizer works through; larger budgets are planned in
+// coarser steps so planning stays instant in the popup
+const MAX_PLAN_STEPS = 10000;
+
+/**
+ * Returns the weight of an item's list priority, from 1 (lowest) to 16 (highest)
+ * @param {string} priority - Priority text such as 'High' or 'Höchste'
+ * @returns {number}
+ */
+function getPriorityWeight(priority) {
+  const level = PRIORITY_WEIGHTS.find(entry => entry.pattern.test(priority || ''));
+  return level ? level.weight : DEFAULT_PRIORITY_WEIGHT;
+}
+
+/**
+ * Returns how many more of an item the list owner wants
+ * Items that don't track quantities (carts, collected products) count as one
+ * @param {Object} item - Item object
+ * @returns {number} - Requested minus purchased, never below zero
+ */
+function getStillNeeded(item) {
+  if (item.requestedQuantity === null || item.requestedQuantity === undefined) return 1;
+  return Math.max(0, item.requestedQuantity - (item.purchasedQuantity || 0));
+}
+
+/**
+ * Returns the currency most of the priced items are in
+ * @param {Array} items - Item objects
+ * @returns {string} - ISO currency code, or '' when no item has a price
+ */
+function getPlanCurrency(items) {
+  const totals = sumItemPrices(items).sort((a, b) => b.count - a.count);
+  return totals.length > 0 ? totals[0].currency : '';
+}
+
+/**
+ * Plans what to buy within a budget
+ * Each copy of an item is worth its priority weight, so the plan favours high
+ * priorities and items with several copies still needed. Locked items are
+ * bought first; the rest of the budget goes to the best combination of the
+ * others (a bounded knapsack over prices rounded up to budget steps, so the
+ * plan never goes over). Only priced items in the plan currency are considered.
+ * @param {Array} items - Item objects
+ * @param {Object} options - { budget, maxPerItem, locked, excluded, currency }
+ *   budget is in the plan currency; maxPerItem (optional) caps the copies of any
+ *   one item; locked and excluded are Sets of items to always or never buy;
+ *   currency defaults to getPlanCurrency(items)
+ * @returns {Object} - { currency, budget, picks: [{ item, quantity, cost, locked }],
+ *   total, leftover, overBudget, skipped } where skipped counts the items left out
+ *   for having no price or another currency
+ */
+function planBudget(items, options) {
+  const currency = options.currency ?? getPlanCurrency(items);
+  const maxPerItem = options.maxPerItem > 0 ? Math.floor(options.maxPerItem) : Infinity;
+  const locked = options.locked || new Set();
+  const excluded = options.excluded || new Set();
+  const budgetCents = Math.max(0, Math.round(options.budget * 100));
+
+  const candidates = [];
+  let skipped = 0;
+  items.forEach((item) => {
+    if (!Number.isFinite(item.price) || (item.currency || '') !== currency) {
+      skipped++;
+      return;
+    }
+    if (excluded.has(item)) return;
+    const priceCents = Math.round(item.price * 100);
+    const isLocked = locked.has(item);
+    // A locked item is bought even when the list shows it as fully purchased
+    const wanted = Math.min(isLocked ? Math.max(1, getStillNeeded(item)) : getStillNeeded(item), maxPerItem);
+    if (wanted > 0) {
+      candidates.push({ item: item, priceCents: priceCents, wanted: wanted, locked: isLocked });
+    }
+  });
+
+  const quantities = new Map();
+  let spentCents = 0;
+  candidates.filter(candidate => candidate.locked).forEach((candidate) => {
+    quantities.set(candidate, candidate.wanted);
+    spentCents += candidate.priceCents * candidate.wanted;
+  });
+
+  const open = candidates.filter(candidate => !candidate.locked);
+  const remainingCents = budgetCents - spentCents;
+  if (remainingCents > 0 && open.length > 0) {
+    chooseQuantities(open, remainingCents).forEach((quantity, candidate) => {
+      quantities.set(candidate, quantity);
+    });
+  }
+
+  const picks = [];
+  candidates.forEach((candidate) => {
+    const quantity = quantities.get(candidate) || 0;
+    if (quantity === 0) return;
+    picks.push({
+      item: candidate.item,
+      quantity: quantity,
+      cost: candidate.priceCents * quantity / 100,
+      locked: candidate.locked
+    });
+  });
+
+  const totalCents = picks.reduce((sum, pick) => sum + Math.round(pick.cost * 100), 0);
+  return {
+    currency: currency,
+    budget: budgetCents / 100,
+    picks: picks,
+    total: totalCents / 100,
+    leftover: (budgetCents - totalCents) / 100,
+    overBudget: totalCents > budgetCents,
+    skipped: skipped
+  };
+}
+
+/**
+ * Solves the bounded knapsack for the unlocked items
+ * Copies are split into bundles of 1, 2, 4, ... so each bundle is taken or not,
+ * and among equally good plans the cheapest one wins
+ * @param {Array} candidates - [{ item, priceCents, wanted }]
+ * @param {number} capacityCents - Budget left, in cents
+ * @returns {Map} - Candidate to number of copies, for candidates with at least one
+ */
+function chooseQuantities(candidates, capacityCents) {
+  const step = Math.max(1, Math.ceil(capacityCents / MAX_PLAN_STEPS));
+  const capacity = Math.floor(capacityCents / step);
+
+  const bundles = [];
+  candidates.forEach((candidate) => {
+    // Rounding prices up keeps the plan within budget when steps are coarse
+    const cost = Math.max(1, Math.ceil(candidate.priceCents / step));
+    const weight = getPriorityWeight(candidate.item.priority);
+    let remaining = Math.min(candidate.wanted, Math.floor(capacity / cost));
+    for (let size = 1; remaining > 0; size *= 2) {
+      const count = Math.min(size, remaining);
+      bundles.push({ candidate: candidate, count: count, cost: cost * count, value: weight * count });
+      remaining -= count;
+    }
+  });
+
+  const best = new Float64Array(capacity + 1);
+  const taken = bundles.map(() => new Uint8Array(capacity + 1));
+  bundles.forEach((bundle, index) => {
+    for (let spent = capacity; spent >= bundle.cost; spent--) {
+      const value = best[spent - bundle.cost] + bundle.value;
+      if (value > best[spent]) {
+        best[spent] = value;
+        taken[index][spent] = 1;
+      }
+    }
+  });
+
+  // Cheapest budget that reaches the best value
+  let spent = 0;
+  while (best[spent] < best[capacity]) spent++;
+
+  const quantities = new Map();
+  for (let index = bundles.length - 1; index >= 0; index--) {
+    if (!taken[index][spent]) continue;
+    const bundle = bundles[index];
+    quantities.set(bundle.candidate, (quantities.get(bundle.candidate) || 0) + bundle.count);
+    spent -= bundle.cost;
+  }
+  return quantities;
+}
+
+/**
+ * Turns a plan into items for the exporters, with the planned quantity and cost
+ * @param {Object} plan - Plan from planBudget()
+ * @returns {Array} - Item copies with plannedQuantity and plannedCost
+ */
+function getPlanItems(plan) {
+  return plan.picks.map(pick => ({ ...pick.item, plannedQuantity: pick.quantity, plannedCost: pick.cost }));
+}
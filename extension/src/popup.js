@@ -1,32 +1,218 @@
 // Popup script for Amazon Wishlist Scraper
 // Handles UI interactions and message passing
 
-let scrapedItems = [];
+let currentDiff = null;
+let currentList = null;
+let importedItems = null;
+let importedFilename = '';
+let diagnosticsReports = [];
+// Budget planner: latest plan and the items locked into or left out of it
+let currentPlan = null;
+let planLocked = new Set();
+let planExcluded = new Set();
 
 // DOM elements
 const scrapeBtn = document.getElementById('scrapeBtn');
 const exportCSVBtn = document.getElementById('exportCSVBtn');
 const exportJSONBtn = document.getElementById('exportJSONBtn');
+const exportXLSXBtn = document.getElementById('exportXLSXBtn');
+const exportHTMLBtn = document.getElementById('exportHTMLBtn');
+const exportArchiveBtn = document.getElementById('exportArchiveBtn');
+const catalogLayoutSelect = document.getElementById('catalogLayoutSelect');
+const openCartBtn = document.getElementById('openCartBtn');
+const copyCartLinkBtn = document.getElementById('copyCartLinkBtn');
 const statusDiv = document.getElementById('status');
+const statusHintDiv = document.getElementById('statusHint');
 const resultsContainer = document.getElementById('resultsContainer');
 const resultsBody = document.getElementById('resultsBody');
 const itemCountDiv = document.getElementById('itemCount');
+const scrapeAllBtn = document.getElementById('scrapeAllBtn');
+const listBreakdownDiv = document.getElementById('listBreakdown');
+const historyBtn = document.getElementById('historyBtn');
+const historyContainer = document.getElementById('historyContainer');
+const historyListSelect = document.getElementById('historyListSelect');
+const historyFromSelect = document.getElementById('historyFromSelect');
+const historyToSelect = document.getElementById('historyToSelect');
+const compareBtn = document.getElementById('compareBtn');
+const diffContainer = document.getElementById('diffContainer');
+const diffSummaryDiv = document.getElementById('diffSummary');
+const diffBody = document.getElementById('diffBody');
+const exportDiffCSVBtn = document.getElementById('exportDiffCSVBtn');
+const exportDiffJSONBtn = document.getElementById('exportDiffJSONBtn');
+const watchesBtn = document.getElementById('watchesBtn');
+const watchContainer = document.getElementById('watchContainer');
+const watchForm = document.getElementById('watchForm');
+const watchFormTitle = document.getElementById('watchFormTitle');
+const watchIntervalSelect = document.getElementById('watchInterval');
+const watchThresholdInput = document.getElementById('watchThreshold');
+const watchDropPercentInput = document.getElementById('watchDropPercent');
+const watchRestockCheckbox = document.getElementById('watchRestock');
+const saveWatchBtn = document.getElementById('saveWatchBtn');
+const watchHint = document.getElementById('watchHint');
+const watchListDiv = document.getElementById('watchList');
+const optionsBtn = document.getElementById('optionsBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importActions = document.getElementById('importActions');
+const importSummaryDiv = document.getElementById('importSummary');
+const mergeImportBtn = document.getElementById('mergeImportBtn');
+const compareImportBtn = document.getElementById('compareImportBtn');
+const diagnosticsContainer = document.getElementById('diagnosticsContainer');
+const diagnosticsBody = document.getElementById('diagnosticsBody');
+const exportDiagnosticsBtn = document.getElementById('exportDiagnosticsBtn');
+const cancelScrapeBtn = document.getElementById('cancelScrapeBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
+const collectionBtn = document.getElementById('collectionBtn');
+const collectionActions = document.getElementById('collectionActions');
+const collectionSummaryDiv = document.getElementById('collectionSummary');
+const removeCollectedBtn = document.getElementById('removeCollectedBtn');
+const clearCollectionBtn = document.getElementById('clearCollectionBtn');
+const searchInput = document.getElementById('searchInput');
+const minPriceInput = document.getElementById('minPriceInput');
+const maxPriceInput = document.getElementById('maxPriceInput');
+const pricedOnlyCheckbox = document.getElementById('pricedOnlyCheckbox');
+const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const sortHeaders = document.querySelectorAll('#resultsTable th.sortable');
+const selectionTotalDiv = document.getElementById('selectionTotal');
+const plannerBtn = document.getElementById('plannerBtn');
+const plannerContainer = document.getElementById('plannerContainer');
+const planBudgetInput = document.getElementById('planBudgetInput');
+const planMaxPerItemInput = document.getElementById('planMaxPerItemInput');
+const planBtn = document.getElementById('planBtn');
+const planSummaryDiv = document.getElementById('planSummary');
+const planResults = document.getElementById('planResults');
+const planBody = document.getElementById('planBody');
+const planFormatSelect = document.getElementById('planFormatSelect');
+const exportPlanBtn = document.getElementById('exportPlanBtn');
+
+// Results table: status line, filters, sorting, selection, exports and scrape following
+const resultsTable = createResultsTable({
+  status: statusDiv,
+  statusHint: statusHintDiv,
+  searchInput: searchInput,
+  minPriceInput: minPriceInput,
+  maxPriceInput: maxPriceInput,
+  pricedOnlyCheckbox: pricedOnlyCheckbox,
+  selectAllCheckbox: selectAllCheckbox,
+  sortHeaders: sortHeaders,
+  itemCount: itemCountDiv,
+  selectionTotal: selectionTotalDiv,
+  catalogLayoutSelect: catalogLayoutSelect,
+  scrapeButtons: [scrapeBtn, scrapeAllBtn],
+  cancelScrapeButton: cancelScrapeBtn
+}, renderResultsTable);
+const updateStatus = resultsTable.updateStatus;
+
+/**
+ * Appends a metadata cell, truncating long text and keeping the full value on hover
+ * @param {HTMLTableRowElement} row - Row to append to
+ * @param {string} text - Cell text
+ */
+function appendTextCell(row, text) {
+  const cell = document.createElement('td');
+  const value = text || '';
+  cell.textContent = value.length > 30 ? value.substring(0, 30) + '...' : value;
+  cell.title = value;
+  cell.className = 'meta-cell';
+  row.appendChild(cell);
+}
 
 /**
- * Updates status message
- * @param {string} message - Status message
- * @param {string} type - Type: 'info', 'success', 'error'
+ * Builds the results table row for an item
+ * @param {Object} item - Item object
+ * @returns {HTMLTableRowElement}
  */
-function updateStatus(message, type = 'info') {
-  statusDiv.textContent = message;
-  statusDiv.className = `status text-center`;
+function createResultRow(item) {
+  const row = document.createElement('tr');
+  
+  // Selection checkbox
+  const selectCell = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = resultsTable.selectedItems.has(item);
+  checkbox.addEventListener('change', () => resultsTable.setSelected(item, checkbox.checked));
+  selectCell.appendChild(checkbox);
+  row.appendChild(selectCell);
   
-  if (type === 'error') {
-    statusDiv.style.color = '#ef4444'; // red
-  } else if (type === 'success') {
-    statusDiv.style.color = '#10b981'; // green
+  // Thumbnail image
+  const imageCell = document.createElement('td');
+  imageCell.style.width = '60px';
+  imageCell.style.padding = '0.25rem';
+  if (item.image) {
+    const img = document.createElement('img');
+    img.src = item.image;
+    img.alt = item.name || t('productImage');
+    img.className = 'thumbnail-img';
+    img.style.width = '50px';
+    img.style.height = '50px';
+    img.style.objectFit = 'contain';
+    img.style.borderRadius = '4px';
+    img.onerror = function() {
+      // If image fails to load, show placeholder
+      this.style.display = 'none';
+      imageCell.textContent = t('noImage');
+      imageCell.style.fontSize = '0.7rem';
+      imageCell.style.color = '#9ca3af';
+    };
+    imageCell.appendChild(img);
   } else {
-    statusDiv.style.color = '#9ca3af'; // gray
+    imageCell.textContent = t('noImage');
+    imageCell.style.fontSize = '0.7rem';
+    imageCell.style.color = '#9ca3af';
+  }
+  
+  // Item name (truncated if too long)
+  const nameCell = document.createElement('td');
+  const nameText = item.name || t('unknownItem');
+  nameCell.textContent = nameText.length > 50 ? nameText.substring(0, 50) + '...' : nameText;
+  nameCell.title = nameText; // Full name on hover
+  
+  // ASIN
+  const asinCell = document.createElement('td');
+  asinCell.textContent = item.asin || t('notAvailable');
+  asinCell.style.fontFamily = 'monospace';
+  asinCell.style.fontSize = '0.75rem';
+  
+  // Price
+  const priceCell = document.createElement('td');
+  priceCell.textContent = formatPriceAmount(item.price, item.currency) || item.priceText || t('notAvailable');
+  if (item.listPrice !== null && item.listPrice !== undefined) {
+    priceCell.title = t('listPrice', formatPriceAmount(item.listPrice, item.currency));
+  }
+  
+  row.appendChild(imageCell);
+  row.appendChild(nameCell);
+  row.appendChild(asinCell);
+  row.appendChild(priceCell);
+  
+  // Wishlist and product metadata; empty when Amazon doesn't show it
+  const quantity = formatItemQuantity(item);
+  const rating = item.rating !== null && item.rating !== undefined
+    ? `${item.rating}${item.reviewCount !== null && item.reviewCount !== undefined ? ` (${item.reviewCount})` : ''}`
+    : '';
+  appendTextCell(row, quantity);
+  appendTextCell(row, item.priority);
+  appendTextCell(row, item.dateAdded || item.dateAddedText);
+  appendTextCell(row, rating);
+  appendTextCell(row, item.availability);
+  appendTextCell(row, item.seller);
+  appendTextCell(row, item.prime ? t('yes') : '');
+  appendTextCell(row, item.variant);
+  appendTextCell(row, item.comment);
+  return row;
+}
+
+/**
+ * Draws the results table rows for the items shown
+ */
+function renderResultsTable() {
+  resultsBody.innerHTML = '';
+  resultsTable.shownItems.forEach((item) => {
+    resultsBody.appendChild(createResultRow(item));
+  });
+  
+  if (resultsTable.items.length > 0) {
+    resultsContainer.classList.remove('hidden');
   }
 }
 
@@ -35,171 +221,1072 @@ function updateStatus(message, type = 'info') {
  * @param {Array} items - Array of item objects
  */
 function displayResults(items) {
-  scrapedItems = items;
-  resultsBody.innerHTML = '';
+  resetPlan();
+  resultsTable.setItems(items);
   
   if (items.length === 0) {
-    updateStatus('No items found', 'error');
+    updateStatus(t('noItemsFound'), 'error');
     return;
   }
   
-  items.forEach((item, index) => {
-    const row = document.createElement('tr');
+  updateStatus(tPlural('scraped', items.length), 'success');
+}
+
+/**
+ * Shows the final response of a scrape
+ * @param {Object} response - Scrape response
+ * @param {Function} onSuccess - Called with the successful response; cancelled
+ *   scrapes succeed with the items collected so far and cancelled: true
+ */
+function handleScrapeResponse(response, onSuccess) {
+  // Reports come with failed scrapes too, which is when they matter most
+  if (response) {
+    displayDiagnostics(response);
+  }
+  
+  if (response && response.success) {
+    onSuccess(response);
+    if (response.cancelled) {
+      updateStatus(tPlural('scrapeCancelled', response.items.length), 'info');
+    }
+  } else {
+    updateStatus(
+      response?.error || t('scrapeFailed'),
+      'error',
+      getErrorHint(response?.errorCode)
+    );
+  }
+}
+
+/**
+ * Starts a scrape of the active tab in the background worker
+ * @param {string} action - 'scrapeWishlist' or 'scrapeAllLists'
+ * @param {HTMLButtonElement} button - Button that started the scrape
+ * @param {Function} onSuccess - Called with the successful response
+ */
+async function requestScrape(action, button, onSuccess) {
+  try {
+    // Get current active tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
-    // Thumbnail image
-    const imageCell = document.createElement('td');
-    imageCell.style.width = '60px';
-    imageCell.style.padding = '0.25rem';
-    if (item.image) {
-      const img = document.createElement('img');
-      img.src = item.image;
-      img.alt = item.name || 'Product image';
-      img.className = 'thumbnail-img';
-      img.style.width = '50px';
-      img.style.height = '50px';
-      img.style.objectFit = 'contain';
-      img.style.borderRadius = '4px';
-      img.onerror = function() {
-        // If image fails to load, show placeholder
-        this.style.display = 'none';
-        imageCell.textContent = 'No img';
-        imageCell.style.fontSize = '0.7rem';
-        imageCell.style.color = '#9ca3af';
-      };
-      imageCell.appendChild(img);
-    } else {
-      imageCell.textContent = 'No img';
-      imageCell.style.fontSize = '0.7rem';
-      imageCell.style.color = '#9ca3af';
+    if (!tab) {
+      throw new Error(t('noActiveTab'));
     }
     
-    // Item name (truncated if too long)
-    const nameCell = document.createElement('td');
-    const nameText = item.name || 'Unknown';
-    nameCell.textContent = nameText.length > 50 ? nameText.substring(0, 50) + '...' : nameText;
-    nameCell.title = nameText; // Full name on hover
+    // Check if we're on a supported Amazon marketplace
+    if (!isAmazonUrl(tab.url)) {
+      throw createScrapeError(ERROR_CODES.NOT_WISHLIST, t('navigateToListPage'));
+    }
     
-    // ASIN
-    const asinCell = document.createElement('td');
-    asinCell.textContent = item.asin || 'N/A';
-    asinCell.style.fontFamily = 'monospace';
-    asinCell.style.fontSize = '0.75rem';
+    followScrape({ action: action, tabId: tab.id }, button, onSuccess);
+  } catch (error) {
+    updateStatus(t('errorMessage', error.message), 'error', getErrorHint(error.code));
+  }
+}
+
+/**
+ * Follows a scrape job in the background worker until it finishes
+ * Progress and partial results stream in over a port until the final response
+ * @param {Object} request - Port message that starts the job or attaches to it
+ * @param {HTMLButtonElement} button - Button that started the scrape
+ * @param {Function} onSuccess - Called with the successful response
+ * @param {Object} [job] - Stored job being followed again after the popup reopened
+ */
+function followScrape(request, button, onSuccess, job = null) {
+  const label = button.textContent;
+  button.textContent = t('scraping');
+  resultsContainer.classList.add('hidden');
+  diagnosticsContainer.classList.add('hidden');
+  resultsTable.setItems(job ? [...job.items] : []);
+  
+  resultsTable.followScrape(request, (response) => {
+    button.textContent = label;
+    handleScrapeResponse(response, onSuccess);
+  }, job ? job.progress : null);
+}
+
+/**
+ * Shows the active tab's last scrape again after the popup was closed: follows
+ * it if it is still running, otherwise shows its results or error
+ * @param {Object} tab - Active tab
+ */
+async function restoreScrapeJob(tab) {
+  const job = await getScrapeJob(tab.id);
+  if (!job) return;
+  
+  const isAllLists = job.action === 'scrapeAllLists';
+  const onSuccess = isAllLists ? displayScrapeAllResult : displayScrapeResult;
+  
+  if (job.status === 'running') {
+    updateStatus(t(isAllLists ? 'scrapingAllLists' : 'scrapingWishlist'), 'info');
+    followScrape({ action: 'attach', tabId: tab.id }, isAllLists ? scrapeAllBtn : scrapeBtn, onSuccess, job);
+  } else {
+    handleScrapeResponse(job.response, onSuccess);
+  }
+}
+
+/**
+ * Opens the dashboard for the active tab in a new tab
+ */
+async function handleOpenDashboard() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const query = tab ? `?tabId=${tab.id}` : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL(`src/dashboard.html${query}`) });
+}
+
+/**
+ * Shows the selector diagnostics sent with a scrape response
+ * @param {Object} response - Scrape response; scrape-all responses carry one report per list
+ */
+function displayDiagnostics(response) {
+  diagnosticsReports = response.diagnostics
+    ? [response.diagnostics]
+    : (response.lists || [])
+      .filter(entry => entry.diagnostics)
+      .map(entry => ({ ...entry.diagnostics, listName: entry.list.name }));
+  diagnosticsBody.innerHTML = '';
+  
+  diagnosticsReports.forEach((report) => {
+    const strategies = Object.entries(report.strategies)
+      .map(([strategy, pages]) => tPlural('strategyPages', pages, [strategy]))
+      .join(', ') || t('none');
     
-    // Price
-    const priceCell = document.createElement('td');
-    priceCell.textContent = item.price || 'N/A';
+    const summary = document.createElement('div');
+    summary.className = 'text-gray-300';
+    summary.textContent = `${report.listName ? `${report.listName}: ` : ''}` +
+      t('diagnosticsSummary', [
+        report.profile.name,
+        report.profile.version,
+        strategies,
+        tPlural('itemCount', report.itemCount)
+      ]) +
+      (report.skipped.count > 0 ? `, ${t('withoutAsin', report.skipped.count)}` : '');
+    diagnosticsBody.appendChild(summary);
     
-    row.appendChild(imageCell);
-    row.appendChild(nameCell);
-    row.appendChild(asinCell);
-    row.appendChild(priceCell);
-    resultsBody.appendChild(row);
+    const table = document.createElement('table');
+    table.className = 'table';
+    report.fields.forEach((field) => {
+      const row = document.createElement('tr');
+      appendTextCell(row, field.field);
+      appendTextCell(row, `${field.fillRate}% (${field.filled}/${report.itemCount})`);
+      // Flag empty and mostly-empty fields
+      const level = report.itemCount > 0 && field.fillRate === 0 ? 'change-removed'
+        : field.fillRate < 50 ? 'change-price' : '';
+      if (level) {
+        row.querySelectorAll('td').forEach(cell => cell.classList.add(level));
+      }
+      table.appendChild(row);
+    });
+    diagnosticsBody.appendChild(table);
   });
   
-  itemCountDiv.textContent = `${items.length} item${items.length !== 1 ? 's' : ''} found`;
-  resultsContainer.classList.remove('hidden');
-  updateStatus(`Successfully scraped ${items.length} item${items.length !== 1 ? 's' : ''}`, 'success');
+  diagnosticsContainer.classList.toggle('hidden', diagnosticsReports.length === 0);
+}
+
+/**
+ * Downloads the diagnostics reports, including sample markup for missed fields
+ */
+function handleExportDiagnostics() {
+  if (diagnosticsReports.length === 0) return;
+  exportToJSON(
+    diagnosticsReports.length === 1 ? diagnosticsReports[0] : diagnosticsReports,
+    `amazon-wishlist-diagnostics-${getDateStamp()}`
+  );
+}
+
+/**
+ * Shows the result of a single-list scrape
+ * @param {Object} response - Successful scrape response
+ */
+function displayScrapeResult(response) {
+  currentList = response.list || null;
+  listBreakdownDiv.classList.add('hidden');
+  collectionActions.classList.add('hidden');
+  displayResults(response.items || []);
+}
+
+/**
+ * Shows the result of a scrape of all lists
+ * @param {Object} response - Successful scrapeAllLists response
+ */
+function displayScrapeAllResult(response) {
+  currentList = null;
+  collectionActions.classList.add('hidden');
+  displayResults(response.items || []);
+  displayListBreakdown(response.lists || []);
+  
+  const failed = response.lists.filter(result => result.error);
+  // Lists usually fail for the same reason, e.g. a robot check, so one hint covers them
+  updateStatus(
+    t('scrapedFromLists', [
+      tPlural('itemCount', response.items.length),
+      response.lists.length - failed.length,
+      response.lists.length
+    ]),
+    failed.length > 0 ? 'error' : 'success',
+    failed.length > 0 ? getErrorHint(failed[0].errorCode) : ''
+  );
 }
 
 /**
  * Handles scrape button click
  */
-async function handleScrape() {
-  scrapeBtn.disabled = true;
-  scrapeBtn.textContent = 'Scraping...';
-  updateStatus('Scraping wishlist...', 'info');
-  resultsContainer.classList.add('hidden');
-  scrapedItems = [];
+function handleScrape() {
+  updateStatus(t('scrapingWishlist'), 'info');
+  requestScrape('scrapeWishlist', scrapeBtn, displayScrapeResult);
+}
+
+/**
+ * Handles "Scrape All My Lists" button click
+ */
+function handleScrapeAll() {
+  updateStatus(t('scrapingAllListsSlow'), 'info');
+  requestScrape('scrapeAllLists', scrapeAllBtn, displayScrapeAllResult);
+}
+
+/**
+ * Loads a previously exported CSV or JSON file, or a saved wishlist page,
+ * into the results table
+ */
+async function handleImportFile() {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (!file) return;
+  
+  diagnosticsContainer.classList.add('hidden');
   
   try {
-    // Get current active tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const text = await file.text();
+    let items = [];
+    let skipped = 0;
     
-    if (!tab) {
-      throw new Error('No active tab found');
-    }
-    
-    // Check if we're on Amazon
-    if (!tab.url || !tab.url.includes('amazon.com')) {
-      throw new Error('Please navigate to an Amazon wishlist page');
-    }
-    
-    // Send message to background script
-    chrome.runtime.sendMessage(
-      { action: 'scrapeWishlist' },
-      (response) => {
-        scrapeBtn.disabled = false;
-        scrapeBtn.textContent = 'Scrape Wishlist';
-        
-        if (chrome.runtime.lastError) {
-          updateStatus(`Error: ${chrome.runtime.lastError.message}`, 'error');
-          return;
-        }
-        
-        if (response && response.success) {
-          displayResults(response.items || []);
-        } else {
-          updateStatus(
-            response?.error || 'Failed to scrape wishlist',
-            'error'
-          );
-        }
+    if (/\.html?$/i.test(file.name)) {
+      // Saved pages go through the same extraction as a live scrape
+      const [profile, diagnosticsEnabled] = await Promise.all([getSelectorProfile(), isDiagnosticsEnabled()]);
+      const page = parseSavedWishlist(text, profile, diagnosticsEnabled);
+      displayDiagnostics(page);
+      items = page.items;
+    } else {
+      ({ items, skipped } = parseImportFile(text, file.name));
+    }
+    
+    if (items.length === 0) {
+      updateStatus(t('noValidAsinInFile'), 'error');
+      return;
+    }
+    
+    importedItems = items;
+    importedFilename = file.name;
+    currentList = null;
+    listBreakdownDiv.classList.add('hidden');
+    collectionActions.classList.add('hidden');
+    displayResults(items);
+    
+    importSummaryDiv.textContent = `${file.name}: ${tPlural('itemCount', items.length)}`;
+    importActions.classList.remove('hidden');
+    updateStatus(
+      t('imported', tPlural('itemCount', items.length)) +
+      (skipped > 0 ? ` (${tPlural('importSkipped', skipped)})` : ''),
+      'success'
+    );
+  } catch (error) {
+    if (error.diagnostics) {
+      displayDiagnostics(error);
+    }
+    updateStatus(t('importError', error.message), 'error', getErrorHint(error.code));
+  }
+}
+
+/**
+ * Shows the collected items in the results table, where they can be
+ * filtered, sorted and exported like a scraped wishlist
+ */
+async function handleShowCollection() {
+  try {
+    const items = await getCollection();
+    currentList = null;
+    listBreakdownDiv.classList.add('hidden');
+    importActions.classList.add('hidden');
+    diagnosticsContainer.classList.add('hidden');
+    displayResults(items);
+    
+    collectionSummaryDiv.textContent = t('collectionSummary', tPlural('itemCount', items.length));
+    collectionActions.classList.remove('hidden');
+    removeCollectedBtn.disabled = items.length === 0;
+    clearCollectionBtn.disabled = items.length === 0;
+    updateStatus(
+      items.length > 0
+        ? tPlural('showingCollected', items.length)
+        : t('collectionEmpty', t('collectMenuTitle')),
+      'info'
+    );
+  } catch (error) {
+    updateStatus(t('collectionError', error.message), 'error');
+  }
+}
+
+/**
+ * Removes the ticked items from the collection
+ */
+async function handleRemoveCollected() {
+  const { shownItems, selectedItems } = resultsTable;
+  const asins = shownItems.filter(item => selectedItems.has(item)).map(item => item.asin);
+  if (asins.length === 0) {
+    updateStatus(t('tickItemsToRemove'), 'error');
+    return;
+  }
+  
+  await removeFromCollection(asins);
+  await handleShowCollection();
+}
+
+/**
+ * Removes every item from the collection
+ */
+async function handleClearCollection() {
+  await clearCollection();
+  await handleShowCollection();
+}
+
+/**
+ * Scrapes the current wishlist and merges it with the imported items
+ * Live data wins for items present in both
+ */
+function handleMergeImport() {
+  updateStatus(t('scrapingToMerge'), 'info');
+  requestScrape('scrapeWishlist', mergeImportBtn, (response) => {
+    const liveItems = response.items || [];
+    const merged = mergeItemsByAsin(liveItems, importedItems);
+    currentList = response.list || null;
+    displayResults(merged);
+    updateStatus(
+      t('mergedWithImport', [tPlural('itemCount', liveItems.length), merged.length - liveItems.length, importedFilename]),
+      'success'
+    );
+  });
+}
+
+/**
+ * Scrapes the current wishlist and diffs it against the imported items
+ */
+function handleCompareImport() {
+  updateStatus(t('scrapingToCompare'), 'info');
+  requestScrape('scrapeWishlist', compareImportBtn, (response) => {
+    const list = response.list || {};
+    currentList = response.list || null;
+    displayResults(response.items || []);
+    
+    // Items the cancelled scrape never reached would all show as removed
+    if (response.cancelled) return;
+    
+    currentDiff = diffSnapshots(
+      { id: 'import', takenAt: '', items: importedItems },
+      {
+        id: 'live',
+        takenAt: new Date().toISOString(),
+        listId: list.id,
+        listName: list.name,
+        marketplace: list.marketplace,
+        items: response.items || []
       }
     );
+    historyContainer.classList.remove('hidden');
+    displayDiff(currentDiff);
+    updateStatus(t('comparedWithImport', importedFilename), 'success');
+  });
+}
+
+/**
+ * Displays per-list item counts with per-list export buttons
+ * @param {Array} results - [{ list, itemCount, items, error, errorCode }] from scrapeAllLists
+ */
+function displayListBreakdown(results) {
+  listBreakdownDiv.innerHTML = '';
+  
+  results.forEach(({ list, itemCount, items, error, errorCode }) => {
+    const card = document.createElement('div');
+    card.className = 'card flex items-center justify-between gap-2';
+    
+    const label = document.createElement('div');
+    label.textContent = error ? `${list.name}: ${error}` : `${list.name} (${itemCount})`;
+    label.title = error ? getErrorHint(errorCode) || list.url : list.url;
+    if (error) {
+      label.style.color = '#ef4444';
+    }
+    card.appendChild(label);
+    
+    if (!error && items.length > 0) {
+      // Default template has no list token, so fall back to the list ID to keep
+      // per-list downloads from overwriting each other
+      const template = /\{list(Id)?\}/.test(resultsTable.exportSettings.filenameTemplate)
+        ? resultsTable.exportSettings.filenameTemplate
+        : `${resultsTable.exportSettings.filenameTemplate}-{listId}`;
+      const filename = formatExportFilename(template, list);
+      const columns = getExportColumns(resultsTable.exportSettings);
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+      
+      const csvButton = document.createElement('button');
+      csvButton.className = 'btn btn-secondary btn-small';
+      csvButton.textContent = 'CSV';
+      csvButton.addEventListener('click', () => exportToCSV(items, columns, filename, resultsTable.exportSettings));
+      
+      const jsonButton = document.createElement('button');
+      jsonButton.className = 'btn btn-secondary btn-small';
+      jsonButton.textContent = 'JSON';
+      jsonButton.addEventListener('click', () => exportToJSON(items, filename, columns));
+      
+      actions.appendChild(csvButton);
+      actions.appendChild(jsonButton);
+      card.appendChild(actions);
+    }
+    
+    listBreakdownDiv.appendChild(card);
+  });
+  
+  listBreakdownDiv.classList.toggle('hidden', results.length === 0);
+}
+
+/**
+ * Builds the add-to-cart links for the ticked or shown items
+ * @returns {Object|null} - Result of buildCartLinks(), or null (with the reason
+ *   shown in the status line) when no item can be added
+ */
+function getCartLinks() {
+  const items = resultsTable.getExportItems();
+  const result = buildCartLinks(items);
+  if (result.links.length === 0) {
+    updateStatus(t(items.length === 0 ? 'noItemsToAdd' : 'noCartableItems'), 'error');
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Describes the outcome of a cart action, noting the items that were left out
+ * @param {string} message - What was done
+ * @param {number} skipped - Items without an ASIN or a known marketplace
+ * @returns {string}
+ */
+function describeCartResult(message, skipped) {
+  return skipped > 0 ? `${message} ${tPlural('cartItemsSkipped', skipped)}` : message;
+}
+
+/**
+ * Opens Amazon's add-to-cart page for the ticked or shown items, one tab per batch
+ */
+async function handleOpenCart() {
+  const result = getCartLinks();
+  if (!result) return;
+  
+  for (const [index, link] of result.links.entries()) {
+    await chrome.tabs.create({ url: link.url, active: index === 0 });
+  }
+  updateStatus(describeCartResult(tPlural('cartTabsOpened', result.links.length), result.skipped), 'success');
+}
+
+/**
+ * Copies the add-to-cart links for the ticked or shown items, one per line
+ */
+async function handleCopyCartLink() {
+  const result = getCartLinks();
+  if (!result) return;
+  
+  try {
+    await navigator.clipboard.writeText(result.links.map(link => link.url).join('\n'));
+    updateStatus(describeCartResult(tPlural('cartLinksCopied', result.links.length), result.skipped), 'success');
+  } catch (error) {
+    updateStatus(t('copyError', error.message), 'error');
+  }
+}
+
+/**
+ * Clears the budget plan, its locks and exclusions, e.g. for a new scrape
+ */
+function resetPlan() {
+  currentPlan = null;
+  planLocked = new Set();
+  planExcluded = new Set();
+  planBody.innerHTML = '';
+  planSummaryDiv.textContent = '';
+  planResults.classList.add('hidden');
+}
+
+/**
+ * Shows or hides the budget planner
+ */
+function handleTogglePlanner() {
+  plannerContainer.classList.toggle('hidden');
+  if (!plannerContainer.classList.contains('hidden')) {
+    planBudgetInput.focus();
+  }
+}
+
+/**
+ * Plans the best gifts for the entered budget from the items shown in the table
+ */
+function handlePlanBudget() {
+  const budget = parseFloat(planBudgetInput.value);
+  if (!(budget > 0)) {
+    currentPlan = null;
+    planResults.classList.add('hidden');
+    planSummaryDiv.textContent = t('enterBudget');
+    planSummaryDiv.style.color = '';
+    return;
+  }
+  
+  currentPlan = planBudget(resultsTable.shownItems, {
+    budget: budget,
+    maxPerItem: parseInt(planMaxPerItemInput.value, 10),
+    locked: planLocked,
+    excluded: planExcluded
+  });
+  renderPlan(currentPlan);
+}
+
+/**
+ * Shows a plan: its total and leftover, then every item it could use with a
+ * lock/exclude choice, planned items first
+ * @param {Object} plan - Plan from planBudget()
+ */
+function renderPlan(plan) {
+  const picks = new Map(plan.picks.map(pick => [pick.item, pick]));
+  const rows = resultsTable.shownItems
+    .filter(item => Number.isFinite(item.price) && (item.currency || '') === plan.currency)
+    .sort((a, b) => picks.has(b) - picks.has(a));
+  
+  planBody.innerHTML = '';
+  rows.forEach((item) => {
+    planBody.appendChild(createPlanRow(item, picks.get(item)));
+  });
+  planResults.classList.toggle('hidden', rows.length === 0);
+  
+  if (rows.length === 0) {
+    planSummaryDiv.textContent = t('noPricedItems');
+    planSummaryDiv.style.color = '';
+    return;
+  }
+  
+  const copies = plan.picks.reduce((sum, pick) => sum + pick.quantity, 0);
+  const total = formatPriceAmount(plan.total, plan.currency);
+  let summary = plan.overBudget
+    ? t('planOverBudget', [total, formatPriceAmount(plan.budget, plan.currency)])
+    : tPlural('planSummary', copies, [total, formatPriceAmount(plan.leftover, plan.currency)]);
+  if (plan.skipped > 0) {
+    summary += ` ${tPlural('planSkipped', plan.skipped)}`;
+  }
+  planSummaryDiv.textContent = summary;
+  planSummaryDiv.style.color = plan.overBudget ? '#ef4444' : '';
+}
+
+/**
+ * Builds the planner row for an item
+ * @param {Object} item - Item object
+ * @param {Object} [pick] - The item's entry in the plan, if it is planned
+ * @returns {HTMLTableRowElement}
+ */
+function createPlanRow(item, pick) {
+  const row = document.createElement('tr');
+  
+  // Let the planner choose, always buy or never buy
+  const choiceCell = document.createElement('td');
+  const choiceSelect = document.createElement('select');
+  choiceSelect.className = 'select';
+  [['auto', 'planAuto'], ['lock', 'planLock'], ['exclude', 'planExclude']].forEach(([value, key]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = t(key);
+    choiceSelect.appendChild(option);
+  });
+  choiceSelect.value = planLocked.has(item) ? 'lock' : planExcluded.has(item) ? 'exclude' : 'auto';
+  choiceSelect.addEventListener('change', () => {
+    planLocked.delete(item);
+    planExcluded.delete(item);
+    if (choiceSelect.value === 'lock') {
+      planLocked.add(item);
+    } else if (choiceSelect.value === 'exclude') {
+      planExcluded.add(item);
+    }
+    handlePlanBudget();
+  });
+  choiceCell.appendChild(choiceSelect);
+  row.appendChild(choiceCell);
+  
+  appendTextCell(row, item.name || t('unknownItem'));
+  appendTextCell(row, item.priority);
+  appendTextCell(row, pick ? String(pick.quantity) : '');
+  appendTextCell(row, pick ? formatPriceAmount(pick.cost, item.currency) : '');
+  if (!pick) {
+    row.style.opacity = '0.6';
+  }
+  return row;
+}
+
+/**
+ * Exports the planned items with their planned quantity and cost
+ */
+function handleExportPlan() {
+  const items = currentPlan ? getPlanItems(currentPlan) : [];
+  resultsTable.handleExport(planFormatSelect.value, exportPlanBtn, items, PLAN_COLUMNS);
+}
+
+/**
+ * Toggles the history panel, loading stored wishlists when it opens
+ */
+async function handleToggleHistory() {
+  const opening = historyContainer.classList.contains('hidden');
+  historyContainer.classList.toggle('hidden');
+  
+  if (opening) {
+    try {
+      await loadHistoryLists();
+    } catch (error) {
+      updateStatus(t('historyError', error.message), 'error');
+    }
+  }
+}
+
+/**
+ * Fills the wishlist selector from the snapshot index
+ */
+async function loadHistoryLists() {
+  const lists = await getSnapshotLists();
+  historyListSelect.innerHTML = '';
+  diffContainer.classList.add('hidden');
+  
+  if (lists.length === 0) {
+    compareBtn.disabled = true;
+    historyFromSelect.innerHTML = '';
+    historyToSelect.innerHTML = '';
+    updateStatus(t('noHistory'), 'info');
+    return;
+  }
+  
+  lists.forEach((list) => {
+    const option = document.createElement('option');
+    option.value = list.key;
+    option.textContent = `${list.name || list.id} (${list.marketplace}) - ${tPlural('snapshotCount', list.count)}`;
+    historyListSelect.appendChild(option);
+  });
+  
+  await populateSnapshotSelects(lists[0].key);
+}
+
+/**
+ * Fills the from/to selectors with a wishlist's snapshots, newest first
+ * @param {string} listKey - Key of the selected wishlist
+ */
+async function populateSnapshotSelects(listKey) {
+  const snapshots = (await getSnapshots(listKey)).slice().reverse();
+  historyFromSelect.innerHTML = '';
+  historyToSelect.innerHTML = '';
+  
+  snapshots.forEach((snapshot) => {
+    const label = `${new Date(snapshot.takenAt).toLocaleString()} (${snapshot.items.length})`;
+    [historyFromSelect, historyToSelect].forEach((select) => {
+      const option = document.createElement('option');
+      option.value = snapshot.id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  });
+  
+  // Default to comparing the two most recent snapshots
+  historyToSelect.selectedIndex = 0;
+  historyFromSelect.selectedIndex = snapshots.length > 1 ? 1 : 0;
+  compareBtn.disabled = snapshots.length < 2;
+}
+
+/**
+ * Handles compare button click
+ */
+async function handleCompare() {
+  try {
+    const snapshots = await getSnapshots(historyListSelect.value);
+    const from = snapshots.find(snapshot => snapshot.id === historyFromSelect.value);
+    const to = snapshots.find(snapshot => snapshot.id === historyToSelect.value);
+    
+    if (!from || !to || from.id === to.id) {
+      updateStatus(t('selectTwoSnapshots'), 'error');
+      return;
+    }
+    
+    // Always diff from the older snapshot to the newer one
+    const [older, newer] = from.takenAt <= to.takenAt ? [from, to] : [to, from];
+    currentDiff = diffSnapshots(older, newer);
+    displayDiff(currentDiff);
+  } catch (error) {
+    updateStatus(t('compareError', error.message), 'error');
+  }
+}
+
+/**
+ * Displays a snapshot diff in the diff table
+ * @param {Object} diff - Result of diffSnapshots()
+ */
+function displayDiff(diff) {
+  diffBody.innerHTML = '';
+  
+  diff.changes.forEach((change) => {
+    const row = document.createElement('tr');
+    
+    const changeCell = document.createElement('td');
+    changeCell.textContent = t(`change_${change.change}`);
+    changeCell.className = `change-${change.change}`;
+    
+    const nameCell = document.createElement('td');
+    const nameText = change.name || change.asin;
+    nameCell.textContent = nameText.length > 40 ? nameText.substring(0, 40) + '...' : nameText;
+    nameCell.title = nameText;
+    
+    const detailsCell = document.createElement('td');
+    detailsCell.textContent = describeChange(change);
+    detailsCell.style.fontSize = '0.75rem';
+    
+    row.appendChild(changeCell);
+    row.appendChild(nameCell);
+    row.appendChild(detailsCell);
+    diffBody.appendChild(row);
+  });
+  
+  const { summary } = diff;
+  diffSummaryDiv.textContent = t('diffSummary', [
+    summary.added,
+    summary.removed,
+    summary.price,
+    summary.name,
+    summary.availability
+  ]);
+  diffContainer.classList.remove('hidden');
+  updateStatus(t(diff.changes.length > 0 ? 'snapshotsCompared' : 'noDifferences'), 'success');
+}
+
+/**
+ * Builds a short human-readable description of a diff row
+ * @param {Object} change - Diff row
+ * @returns {string}
+ */
+function describeChange(change) {
+  const price = (amount) => formatPriceAmount(amount, change.currency) || t('noPrice');
+  
+  switch (change.change) {
+    case 'added':
+      return price(change.newValue);
+    case 'removed':
+      return price(change.oldValue);
+    case 'price': {
+      let text = `${price(change.oldValue)} -> ${price(change.newValue)}`;
+      if (change.priceChangePercent !== null && change.priceChangePercent !== undefined) {
+        const sign = change.priceChangePercent > 0 ? '+' : '';
+        text += ` (${sign}${change.priceChangePercent}%)`;
+      }
+      return text;
+    }
+    default:
+      return `${change.oldValue || '-'} -> ${change.newValue || '-'}`;
+  }
+}
+
+/**
+ * Returns the export file name for the current diff
+ * @returns {string}
+ */
+function getDiffFilename() {
+  const list = { id: currentDiff.listId, name: currentDiff.listName, marketplace: currentDiff.marketplace };
+  return `${formatExportFilename(resultsTable.exportSettings.filenameTemplate, list)}-diff`;
+}
+
+/**
+ * Handles diff CSV export
+ */
+function handleExportDiffCSV() {
+  if (!currentDiff || currentDiff.changes.length === 0) {
+    updateStatus(t('noChangesToExport'), 'error');
+    return;
+  }
+  
+  try {
+    exportToCSV(currentDiff.changes, DIFF_COLUMNS, getDiffFilename(), resultsTable.exportSettings);
+    updateStatus(t('diffCsvExported'), 'success');
   } catch (error) {
-    scrapeBtn.disabled = false;
-    scrapeBtn.textContent = 'Scrape Wishlist';
-    updateStatus(`Error: ${error.message}`, 'error');
+    updateStatus(t('exportError', error.message), 'error');
   }
 }
 
 /**
- * Handles CSV export
+ * Handles diff JSON export
  */
-function handleExportCSV() {
-  if (scrapedItems.length === 0) {
-    updateStatus('No items to export', 'error');
+function handleExportDiffJSON() {
+  if (!currentDiff) {
+    updateStatus(t('noChangesToExport'), 'error');
     return;
   }
   
   try {
-    exportToCSV(scrapedItems);
-    updateStatus('CSV exported successfully', 'success');
+    exportToJSON(currentDiff, getDiffFilename());
+    updateStatus(t('diffJsonExported'), 'success');
   } catch (error) {
-    updateStatus(`Export error: ${error.message}`, 'error');
+    updateStatus(t('exportError', error.message), 'error');
+  }
+}
+
+/**
+ * Toggles the watch panel
+ */
+async function handleToggleWatches() {
+  const opening = watchContainer.classList.contains('hidden');
+  watchContainer.classList.toggle('hidden');
+  
+  if (opening) {
+    try {
+      await renderWatchForm();
+      await renderWatches();
+    } catch (error) {
+      updateStatus(t('watchError', error.message), 'error');
+    }
   }
 }
 
 /**
- * Handles JSON export
+ * Shows the watch form for the last scraped list, prefilled with its settings
  */
-function handleExportJSON() {
-  if (scrapedItems.length === 0) {
-    updateStatus('No items to export', 'error');
+async function renderWatchForm() {
+  if (!currentList) {
+    watchForm.classList.add('hidden');
+    watchHint.classList.remove('hidden');
     return;
   }
   
+  const existing = await getWatch(getListKey(currentList));
+  const settings = existing || DEFAULT_WATCH_SETTINGS;
+  
+  watchFormTitle.textContent = t(existing ? 'editWatchFor' : 'watchList', currentList.name || currentList.id);
+  watchIntervalSelect.value = String(settings.intervalMinutes);
+  watchThresholdInput.value = settings.priceThreshold ?? '';
+  watchDropPercentInput.value = settings.dropPercent ?? '';
+  watchRestockCheckbox.checked = settings.notifyBackInStock;
+  
+  watchHint.classList.add('hidden');
+  watchForm.classList.remove('hidden');
+}
+
+/**
+ * Handles save watch button click
+ */
+async function handleSaveWatch() {
+  if (!currentList) return;
+  
+  const toNumber = (value) => (value === '' ? null : Number(value));
+  
   try {
-    exportToJSON(scrapedItems);
-    updateStatus('JSON exported successfully', 'success');
+    await saveWatch(currentList, {
+      intervalMinutes: Number(watchIntervalSelect.value),
+      priceThreshold: toNumber(watchThresholdInput.value),
+      dropPercent: toNumber(watchDropPercentInput.value),
+      notifyBackInStock: watchRestockCheckbox.checked,
+      enabled: true
+    });
+    updateStatus(t('watchSaved'), 'success');
+    await renderWatchForm();
+    await renderWatches();
   } catch (error) {
-    updateStatus(`Export error: ${error.message}`, 'error');
+    updateStatus(t('watchError', error.message), 'error');
   }
 }
 
+/**
+ * Summarizes a watch's rules for display
+ * @param {Object} watch - Watch settings
+ * @returns {string}
+ */
+function describeWatch(watch) {
+  const rules = [];
+  if (typeof watch.priceThreshold === 'number') {
+    // Prices of the watched list are in its marketplace's currency
+    const marketplace = getMarketplaceByDomain(watch.marketplace);
+    rules.push(t('ruleBelow', formatPriceAmount(watch.priceThreshold, marketplace ? marketplace.currency : '')));
+  }
+  if (typeof watch.dropPercent === 'number') {
+    rules.push(t('ruleDrops', watch.dropPercent));
+  }
+  if (watch.notifyBackInStock) {
+    rules.push(t('ruleRestocks'));
+  }
+  
+  const hours = watch.intervalMinutes / 60;
+  return t('watchRules', [hours, rules.length > 0 ? rules.join(', ') : t('noAlerts')]);
+}
+
+/**
+ * Renders all watches with their recent alerts
+ */
+async function renderWatches() {
+  const watches = await getWatches();
+  const alerts = await getAlertLog();
+  watchListDiv.innerHTML = '';
+  
+  watches.forEach((watch) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    
+    const title = document.createElement('div');
+    title.className = 'font-bold';
+    const name = `${watch.name} (${watch.marketplace})`;
+    title.textContent = watch.enabled ? name : t('watchPaused', name);
+    
+    const rules = document.createElement('div');
+    rules.className = 'text-gray-400';
+    rules.textContent = describeWatch(watch);
+    
+    const status = document.createElement('div');
+    status.className = 'text-gray-400';
+    if (watch.lastError) {
+      status.textContent = t('lastCheckFailed', watch.lastError);
+      status.title = getErrorHint(watch.lastErrorCode);
+      status.style.color = '#ef4444';
+    } else {
+      status.textContent = watch.lastCheckedAt
+        ? t('lastChecked', new Date(watch.lastCheckedAt).toLocaleString())
+        : t('notCheckedYet');
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 mt-2';
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary btn-small';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+      return button;
+    };
+    const checkButton = addAction(t('checkNow'), () => handleCheckWatch(watch.id, checkButton));
+    addAction(t(watch.enabled ? 'pause' : 'resume'), () => handleToggleWatchEnabled(watch));
+    addAction(t('remove'), () => handleRemoveWatch(watch.id));
+    
+    card.appendChild(title);
+    card.appendChild(rules);
+    card.appendChild(status);
+    
+    // Most recent alerts for this watch
+    alerts.filter(alert => alert.watchId === watch.id).slice(0, 5).forEach((alert) => {
+      const entry = document.createElement('div');
+      entry.className = 'mt-2';
+      entry.textContent = `${new Date(alert.detectedAt).toLocaleDateString()} - ${alert.name}: ${alert.message}`;
+      entry.title = alert.url;
+      card.appendChild(entry);
+    });
+    
+    card.appendChild(actions);
+    watchListDiv.appendChild(card);
+  });
+}
+
+/**
+ * Runs a watch check immediately through the background worker
+ * @param {string} watchId - Watch ID
+ * @param {HTMLButtonElement} button - Button to disable while checking
+ */
+function handleCheckWatch(watchId, button) {
+  button.disabled = true;
+  button.textContent = t('checking');
+  updateStatus(t('checkingWatch'), 'info');
+  
+  chrome.runtime.sendMessage({ action: 'checkWatch', watchId: watchId }, async (response) => {
+    if (chrome.runtime.lastError) {
+      updateStatus(t('errorMessage', chrome.runtime.lastError.message), 'error');
+    } else if (response && response.success) {
+      const count = response.alerts.length;
+      updateStatus(tPlural('checkComplete', count), 'success');
+    } else {
+      updateStatus(response?.error || t('watchCheckFailed'), 'error', getErrorHint(response?.errorCode));
+    }
+    await renderWatches();
+  });
+}
+
+/**
+ * Pauses or resumes a watch
+ * @param {Object} watch - Watch to toggle
+ */
+async function handleToggleWatchEnabled(watch) {
+  await updateWatch(watch.id, { enabled: !watch.enabled });
+  await renderWatches();
+}
+
+/**
+ * Removes a watch and its alert log
+ * @param {string} watchId - Watch ID
+ */
+async function handleRemoveWatch(watchId) {
+  await deleteWatch(watchId);
+  updateStatus(t('watchRemoved'), 'info');
+  await renderWatchForm();
+  await renderWatches();
+}
+
+// Show the popup in the browser's language
+localizePage(document);
+watchIntervalSelect.querySelectorAll('option').forEach((option) => {
+  option.textContent = tPlural('hours', Number(option.value) / 60);
+});
+
 // Event listeners
 scrapeBtn.addEventListener('click', handleScrape);
-exportCSVBtn.addEventListener('click', handleExportCSV);
-exportJSONBtn.addEventListener('click', handleExportJSON);
+scrapeAllBtn.addEventListener('click', handleScrapeAll);
+exportCSVBtn.addEventListener('click', () => resultsTable.handleExport('csv', exportCSVBtn));
+exportJSONBtn.addEventListener('click', () => resultsTable.handleExport('json', exportJSONBtn));
+exportXLSXBtn.addEventListener('click', () => resultsTable.handleExport('xlsx', exportXLSXBtn));
+exportHTMLBtn.addEventListener('click', () => resultsTable.handleExport('html', exportHTMLBtn));
+exportArchiveBtn.addEventListener('click', () => resultsTable.handleExport('archive', exportArchiveBtn));
+openCartBtn.addEventListener('click', handleOpenCart);
+copyCartLinkBtn.addEventListener('click', handleCopyCartLink);
+historyBtn.addEventListener('click', handleToggleHistory);
+historyListSelect.addEventListener('change', () => populateSnapshotSelects(historyListSelect.value));
+compareBtn.addEventListener('click', handleCompare);
+exportDiffCSVBtn.addEventListener('click', handleExportDiffCSV);
+exportDiffJSONBtn.addEventListener('click', handleExportDiffJSON);
+watchesBtn.addEventListener('click', handleToggleWatches);
+saveWatchBtn.addEventListener('click', handleSaveWatch);
+optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+importBtn.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', handleImportFile);
+mergeImportBtn.addEventListener('click', handleMergeImport);
+compareImportBtn.addEventListener('click', handleCompareImport);
+exportDiagnosticsBtn.addEventListener('click', handleExportDiagnostics);
+dashboardBtn.addEventListener('click', handleOpenDashboard);
+collectionBtn.addEventListener('click', handleShowCollection);
+removeCollectedBtn.addEventListener('click', handleRemoveCollected);
+clearCollectionBtn.addEventListener('click', handleClearCollection);
+plannerBtn.addEventListener('click', handleTogglePlanner);
+planBtn.addEventListener('click', handlePlanBudget);
+exportPlanBtn.addEventListener('click', handleExportPlan);
+
+// Load export settings chosen on the options page
+getExportSettings().then((settings) => {
+  resultsTable.exportSettings = settings;
+});
 
-// Initialize: Check if we're on a wishlist page
+// Initialize: Check if we're on a list page we can scrape
 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   if (tabs[0] && tabs[0].url) {
-    const url = tabs[0].url;
-    if (!url.includes('amazon.com') || !url.includes('wishlist')) {
-      updateStatus('Please navigate to an Amazon wishlist page', 'info');
+    const pageType = getPageTypeFromUrl(tabs[0].url);
+    if (!pageType) {
+      updateStatus(t('navigateToListPage'), 'info');
       scrapeBtn.disabled = true;
+      scrapeAllBtn.disabled = true;
+      mergeImportBtn.disabled = true;
+      compareImportBtn.disabled = true;
+    } else if (pageType.id !== 'wishlist') {
+      // "All my lists" follows the wishlist sidebar, which only wishlists have
+      scrapeBtn.textContent = t('scrapePageType', t(`pageType_${pageType.id}`));
+      scrapeAllBtn.disabled = true;
     }
   }
+  
+  // Pick up a scrape that ran or is still running while the popup was closed
+  if (tabs[0]) {
+    restoreScrapeJob(tabs[0]);
+  }
 });
 
@@ -0,0 +1,180 @@
+// Price parsing helpers for Amazon Wishlist Scraper
+// Turns displayed price text into a numeric amount and ISO currency code
+
+// Currency markers, longest first so "CA$" wins over "$"
+var CURRENCY_MARKERS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['MX$', 'MXN'],
+  ['R$', 'BRL'],
+  ['A$', 'AUD'],
+  ['S$', 'SGD'],
+  ['C$', 'CAD'],
+  ['zł', 'PLN'],
+  ['kr', 'SEK'],
+  ['TL', 'TRY'],
+  ['AED', 'AED'],
+  ['SAR', 'SAR'],
+  ['EGP', 'EGP'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['￥', 'JPY'],
+  ['₹', 'INR'],
+  ['₺', 'TRY']
+];
+
+/**
+ * Detects the currency of a price string
+ * A bare "$" is resolved to the marketplace currency (USD, CAD, MXN, ...)
+ * @param {string} text - Displayed price text
+ * @param {Object} marketplace - Marketplace the price was shown on
+ * @returns {string} - ISO 4217 currency code or empty string
+ */
+function detectCurrency(text, marketplace) {
+  const value = String(text || '');
+
+  for (const [marker, currency] of CURRENCY_MARKERS) {
+    if (value.includes(marker)) {
+      return currency;
+    }
+  }
+
+  // ISO codes are sometimes shown instead of symbols (e.g. "EUR 12,99")
+  const codeMatch = value.match(/\b([A-Z]{3})\b/);
+  if (codeMatch && MARKETPLACES.some(m => m.currency === codeMatch[1])) {
+    return codeMatch[1];
+  }
+
+  if (value.includes('$') || /\d/.test(value)) {
+    return marketplace ? marketplace.currency : '';
+  }
+
+  return '';
+}
+
+/**
+ * Returns the thousands separator used by a locale
+ * @param {string} locale - BCP 47 locale such as 'de-DE'
+ * @returns {string} - Group separator character
+ */
+function getGroupSeparator(locale) {
+  try {
+    const part = new Intl.NumberFormat(locale)
+      .formatToParts(1000000)
+      .find(p => p.type === 'group');
+    return part ? part.value : ',';
+  } catch (e) {
+    return ',';
+  }
+}
+
+/**
+ * Parses a localized number such as "1.234,56", "1,234.56" or "1 234,56"
+ * @param {string} numberText - Digits with separators only
+ * @param {string} locale - Locale used to break ties (e.g. "1.234")
+ * @returns {number|null} - Parsed number or null
+ */
+function parseLocalizedNumber(numberText, locale) {
+  // Drop spaces and apostrophes used as thousands separators
+  const text = numberText.replace(/[\s']/g, '');
+  if (!/\d/.test(text)) return null;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimalSeparator = '';
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const occurrences = text.split(separator).length - 1;
+    const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+
+    if (occurrences === 1 && digitsAfter !== 3) {
+      decimalSeparator = separator;
+    } else if (occurrences === 1 && getGroupSeparator(locale).trim() !== separator) {
+      // "1.234" is a thousands group in de-DE but a decimal in locales without "." grouping
+      decimalSeparator = separator;
+    }
+  }
+
+  let normalized = text;
+  if (decimalSeparator) {
+    const groupSeparator = decimalSeparator === '.' ? ',' : '.';
+    normalized = normalized.split(groupSeparator).join('').replace(decimalSeparator, '.');
+  } else {
+    normalized = normalized.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(normalized);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parses displayed price text into an amount and currency
+ * @param {string} text - Displayed price text (e.g. "€12,99", "$1,299.00", "￥2,480")
+ * @param {Object} marketplace - Marketplace the price was shown on
+ * @returns {Object|null} - { amount, currency, text } or null if no price found
+ */
+function parsePrice(text, marketplace) {
+  if (!text) return null;
+
+  const value = String(text).trim();
+  const numberMatch = value.match(/\d[\d.,\s']*/);
+  if (!numberMatch) return null;
+
+  // Drop trailing separators picked up by the match (e.g. "12,99 €")
+  const numberText = numberMatch[0].replace(/[.,\s']+$/, '');
+
+  // Skip percentages such as "Price dropped 12%"
+  const rest = value.slice(numberMatch.index + numberText.length).trim();
+  if (rest.startsWith('%')) return null;
+
+  const amount = parseLocalizedNumber(numberText, marketplace ? marketplace.locale : 'en-US');
+  if (amount === null) return null;
+
+  return {
+    amount: amount,
+    currency: detectCurrency(value, marketplace),
+    text: value
+  };
+}
+
+/**
+ * Finds the first currency amount in free text such as
+ * "Price dropped 12%. Was $45.99 when added to List."
+ * @param {string} text - Free text
+ * @param {Object} marketplace - Marketplace the text was shown on
+ * @returns {Object|null} - { amount, currency, text } or null
+ */
+function findPriceInText(text, marketplace) {
+  if (!text) return null;
+
+  const symbols = CURRENCY_MARKERS
+    .map(([marker]) => marker.replace(/\$/g, '\\$'))
+    .concat('\\$')
+    .join('|');
+  const number = '\\d[\\d.,\\s\']*\\d|\\d';
+  const pattern = new RegExp(`(?:${symbols})\\s?(?:${number})|(?:${number})\\s?(?:${symbols})`);
+  const match = String(text).match(pattern);
+  return match ? parsePrice(match[0], marketplace) : null;
+}
+
+/**
+ * Formats an amount for display in the given currency
+ * @param {number|null} amount - Numeric amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted price or empty string
+ */
+function formatPriceAmount(amount, currency) {
+  if (amount === null || amount === undefined || !Number.isFinite(amount)) return '';
+  if (!currency) return String(amount);
+
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+  } catch (e) {
+    return `${amount} ${currency}`;
+  }
+}
@@ -0,0 +1,152 @@
+// Scrape jobs for Amazon Wishlist Scraper
+// The background worker records each tab's scrape here so the popup and the
+// dashboard can show its progress or results again after being closed and
+// reopened, and follow running jobs over a port
+
+const SCRAPE_JOB_KEY_PREFIX = 'scrapeJob:';
+// Port name for streamed scrapes, both to the background worker and from it to
+// the content script (which declares its own copy)
+const SCRAPE_PORT_NAME = 'scrapeWishlist';
+
+/**
+ * Returns the session storage key for a tab's job
+ * @param {number} tabId - Tab the scrape runs in
+ * @returns {string}
+ */
+function getScrapeJobKey(tabId) {
+  return SCRAPE_JOB_KEY_PREFIX + tabId;
+}
+
+/**
+ * Creates the record for a new scrape job
+ * @param {number} tabId - Tab the scrape runs in
+ * @param {string} action - 'scrapeWishlist' or 'scrapeAllLists'
+ * @param {string} url - Page the scrape was started from
+ * @returns {Object} - { tabId, action, url, status, startedAt, finishedAt, progress, items, response }
+ */
+function createScrapeJob(tabId, action, url) {
+  return {
+    tabId: tabId,
+    action: action,
+    url: url,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: '',
+    progress: null,
+    items: [],
+    response: null
+  };
+}
+
+/**
+ * Returns the last scrape job of a tab
+ * Jobs live in session storage, so they are gone after a browser restart
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>}
+ */
+async function getScrapeJob(tabId) {
+  const key = getScrapeJobKey(tabId);
+  const data = await chrome.storage.session.get(key);
+  return data[key] || null;
+}
+
+/**
+ * Stores a scrape job, replacing the tab's previous one
+ * @param {Object} job - Job from createScrapeJob()
+ */
+async function saveScrapeJob(job) {
+  await chrome.storage.session.set({ [getScrapeJobKey(job.tabId)]: job });
+}
+
+/**
+ * Forgets a tab's scrape job
+ * @param {number} tabId - Tab ID
+ */
+async function clearScrapeJob(tabId) {
+  await chrome.storage.session.remove(getScrapeJobKey(tabId));
+}
+
+/**
+ * Starts or follows a scrape job in the background worker
+ * @param {Object} request - { action: 'scrapeWishlist' | 'scrapeAllLists' | 'attach', tabId }
+ * @param {Object} handlers - { onProgress, onStatus, onResult }: onProgress gets every
+ *   progress message; onStatus gets a status line on every message and once a second
+ *   in between, so a slow page doesn't look like a hang; onResult gets the final
+ *   response (also when the connection is lost)
+ * @param {Object} [lastProgress] - Stored progress of a job being followed again
+ * @returns {Object} - { cancel } to stop the job early
+ */
+function connectToScrapeJob(request, handlers, lastProgress = null) {
+  const port = chrome.runtime.connect({ name: SCRAPE_PORT_NAME });
+  let progress = lastProgress;
+  let finished = false;
+  
+  const showStatus = () => {
+    if (progress && handlers.onStatus) {
+      handlers.onStatus(describeScrapeProgress({
+        ...progress,
+        elapsedMs: progress.elapsedMs + Date.now() - progress.receivedAt
+      }));
+    }
+  };
+  const timer = setInterval(showStatus, 1000);
+  
+  const finish = (response) => {
+    finished = true;
+    clearInterval(timer);
+    handlers.onResult(response);
+  };
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      progress = { ...message, receivedAt: Date.now() };
+      if (handlers.onProgress) {
+        handlers.onProgress(message);
+      }
+      showStatus();
+    } else if (message.type === 'result') {
+      port.disconnect();
+      finish(message.response);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      finish({ success: false, error: t('errWorkerLost') });
+    }
+  });
+  
+  port.postMessage(request);
+  showStatus();
+  return {
+    cancel: () => port.postMessage({ action: 'cancel' })
+  };
+}
+
+/**
+ * Formats a duration as "42s" or "3m 05s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Describes a scrape progress message for a status line
+ * @param {Object} progress - { itemCount, page, strategy, elapsedMs, list?, listIndex?, listCount? }
+ * @returns {string}
+ */
+function describeScrapeProgress(progress) {
+  const prefix = progress.list
+    ? t('progressList', [progress.listIndex + 1, progress.listCount, progress.list.name])
+    : t('progressScraping');
+  return t('progressLine', [
+    prefix,
+    progress.page,
+    tPlural('itemCount', progress.itemCount),
+    progress.strategy || t('none'),
+    formatElapsed(progress.elapsedMs)
+  ]);
+}
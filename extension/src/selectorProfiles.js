@@ -0,0 +1,120 @@
+// Selector profiles for Amazon Wishlist Scraper
+// Loads the built-in selector profile or a user-imported override, and the diagnostics switch
+
+const SELECTOR_PROFILE_KEY = 'selectorProfile';
+const SELECTOR_PROFILE_SCHEMA_VERSION = 1;
+const DEFAULT_SELECTOR_PROFILE_PATH = 'src/selectors/default.json';
+const DIAGNOSTICS_ENABLED_KEY = 'diagnosticsEnabled';
+
+// Field selector chains every profile must provide
+const PROFILE_FIELDS = ['name', 'price', 'image'];
+
+/**
+ * Loads the selector profile bundled with the extension
+ * @returns {Promise<Object>}
+ */
+async function getDefaultSelectorProfile() {
+  const response = await fetch(chrome.runtime.getURL(DEFAULT_SELECTOR_PROFILE_PATH));
+  return response.json();
+}
+
+/**
+ * Returns the active selector profile: the imported override if there is one,
+ * otherwise the built-in profile
+ * @returns {Promise<Object>}
+ */
+async function getSelectorProfile() {
+  const data = await chrome.storage.local.get(SELECTOR_PROFILE_KEY);
+  return data[SELECTOR_PROFILE_KEY] || getDefaultSelectorProfile();
+}
+
+/**
+ * Checks that a profile has the structure the content script expects
+ * Selector syntax is also checked when a DOM is available (options page)
+ * @param {Object} profile - Parsed profile JSON
+ * @throws {Error} - Describing the first problem found
+ */
+function validateSelectorProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(t('errProfileNotObject'));
+  }
+  if (profile.schemaVersion !== SELECTOR_PROFILE_SCHEMA_VERSION) {
+    throw new Error(t('errProfileSchema', [profile.schemaVersion, SELECTOR_PROFILE_SCHEMA_VERSION]));
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    throw new Error(t('errProfileName'));
+  }
+  if (!Array.isArray(profile.items) || profile.items.length === 0) {
+    throw new Error(t('errProfileNoStrategies'));
+  }
+
+  const selectors = [];
+  profile.items.forEach((strategy, index) => {
+    if (!strategy || typeof strategy.id !== 'string' || typeof strategy.selector !== 'string') {
+      throw new Error(t('errProfileStrategy', index + 1));
+    }
+    selectors.push(strategy.selector);
+  });
+
+  PROFILE_FIELDS.forEach((field) => {
+    const chain = profile.fields && profile.fields[field];
+    if (!Array.isArray(chain) || chain.length === 0 || !chain.every(s => typeof s === 'string')) {
+      throw new Error(t('errProfileField', `fields.${field}`));
+    }
+    selectors.push(...chain);
+  });
+
+  Object.entries(profile.exclude || {}).forEach(([field, selector]) => {
+    if (typeof selector !== 'string') {
+      throw new Error(t('errProfileExclude', `exclude.${field}`));
+    }
+    selectors.push(selector);
+  });
+
+  if (typeof document !== 'undefined') {
+    const fragment = document.createDocumentFragment();
+    selectors.forEach((selector) => {
+      try {
+        fragment.querySelector(selector);
+      } catch (error) {
+        throw new Error(t('errInvalidSelector', selector));
+      }
+    });
+  }
+}
+
+/**
+ * Validates and stores an imported profile as the active one
+ * @param {Object} profile - Parsed profile JSON
+ * @returns {Promise<Object>} - The stored profile
+ */
+async function saveSelectorProfile(profile) {
+  validateSelectorProfile(profile);
+  const stored = { ...profile, importedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [SELECTOR_PROFILE_KEY]: stored });
+  return stored;
+}
+
+/**
+ * Removes the imported profile so the built-in one is used again
+ */
+async function resetSelectorProfile() {
+  await chrome.storage.local.remove(SELECTOR_PROFILE_KEY);
+}
+
+/**
+ * Returns whether scrapes should include a diagnostics report
+ * @returns {Promise<boolean>}
+ */
+async function isDiagnosticsEnabled() {
+  const data = await chrome.storage.local.get(DIAGNOSTICS_ENABLED_KEY);
+  return !!data[DIAGNOSTICS_ENABLED_KEY];
+}
+
+/**
+ * Turns diagnostics mode on or off
+ * @param {boolean} enabled
+ */
+async function setDiagnosticsEnabled(enabled) {
+  await chrome.storage.local.set({ [DIAGNOSTICS_ENABLED_KEY]: !!enabled });
+}
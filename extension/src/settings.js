@@ -0,0 +1,67 @@
+// Export settings for Amazon Wishlist Scraper
+// Shared by the options page and the popup exporters
+
+const EXPORT_SETTINGS_KEY = 'exportSettings';
+
+const CSV_DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t'
+};
+
+// Tokens understood by formatExportFilename()
+const FILENAME_TOKENS = ['{list}', '{listId}', '{marketplace}', '{date}'];
+
+const DEFAULT_EXPORT_SETTINGS = {
+  columns: null,          // Column IDs in export order; null exports every column
+  delimiter: 'comma',     // Key of CSV_DELIMITERS
+  includeBOM: false,      // Prefix CSV files with a UTF-8 byte order mark (helps Excel)
+  crlf: false,            // Use \r\n instead of \n between CSV rows
+  filenameTemplate: 'amazon-wishlist-{date}'
+};
+
+/**
+ * Returns the stored export settings merged over the defaults
+ * @returns {Promise<Object>}
+ */
+async function getExportSettings() {
+  const data = await chrome.storage.local.get(EXPORT_SETTINGS_KEY);
+  return { ...DEFAULT_EXPORT_SETTINGS, ...(data[EXPORT_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Stores export settings
+ * @param {Object} settings - Settings to store, merged over the defaults
+ * @returns {Promise<Object>} - The stored settings
+ */
+async function saveExportSettings(settings) {
+  const stored = { ...DEFAULT_EXPORT_SETTINGS, ...settings };
+  await chrome.storage.local.set({ [EXPORT_SETTINGS_KEY]: stored });
+  return stored;
+}
+
+/**
+ * Fills in a file name template
+ * Empty tokens collapse with their separators, so "amazon-wishlist-{list}-{date}"
+ * becomes "amazon-wishlist-2025-01-31" when no single list applies
+ * @param {string} template - Template such as 'amazon-wishlist-{list}-{date}'
+ * @param {Object|null} list - List info ({ id, name, marketplace }) or null
+ * @returns {string} - File name without extension
+ */
+function formatExportFilename(template, list) {
+  const values = {
+    '{list}': list ? list.name || list.id || '' : '',
+    '{listId}': list ? list.id || '' : '',
+    '{marketplace}': list ? list.marketplace || '' : '',
+    '{date}': getDateStamp()
+  };
+
+  const filename = FILENAME_TOKENS
+    .reduce((name, token) => name.split(token).join(values[token]), template || '')
+    .replace(/[\u0000-\u001F\\/:*?"<>|]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/([-_])\1+/g, '$1')
+    .replace(/^[-_. ]+|[-_. ]+$/g, '');
+
+  return filename || 'amazon-wishlist';
+}
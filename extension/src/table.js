@@ -0,0 +1,268 @@
+// Results table for Amazon Wishlist Scraper
+// State and controls shared by the popup's results table and the dashboard's
+// grid: status line, filters, sort order, selection, exports and following a
+// scrape job. Each page draws its own rows.
+
+/**
+ * Creates the results table of a page and wires up its filter, sort, select-all
+ * and cancel controls
+ * @param {Object} elements - The page's controls: { status, statusHint, searchInput,
+ *   minPriceInput, maxPriceInput, pricedOnlyCheckbox, selectAllCheckbox, sortHeaders,
+ *   itemCount, selectionTotal, catalogLayoutSelect, scrapeButtons, cancelScrapeButton }
+ * @param {Function} renderRows - Draws table.shownItems; called with true when the rows
+ *   changed (new items, filters or sort order) and with false when items were only
+ *   added at the end or ticked
+ * @returns {Object} - { items, shownItems, selectedItems, exportSettings } and the
+ *   table's actions; items, shownItems and selectedItems are replaced, not mutated,
+ *   when new items are shown
+ */
+function createResultsTable(elements, renderRows) {
+  let sort = { key: '', direction: 'asc' };
+  // Running scrape from connectToScrapeJob(), used to cancel it
+  let activeScrape = null;
+
+  const table = {
+    items: [],
+    shownItems: [],
+    selectedItems: new Set(),
+    exportSettings: { ...DEFAULT_EXPORT_SETTINGS },
+    updateStatus: updateStatus,
+    getExportItems: getExportItems,
+    setSelected: setSelected,
+    updateSelectionSummary: updateSelectionSummary,
+    setItems: setItems,
+    appendItems: appendItems,
+    render: render,
+    handleExport: handleExport,
+    followScrape: followScrape,
+    isScraping: () => activeScrape !== null
+  };
+
+  /**
+   * Updates status message
+   * @param {string} message - Status message
+   * @param {string} type - Type: 'info', 'success', 'error'
+   * @param {string} [hint] - What the user can do about an error, from getErrorHint()
+   */
+  function updateStatus(message, type = 'info', hint = '') {
+    elements.status.textContent = message;
+    elements.statusHint.textContent = hint;
+    elements.statusHint.classList.toggle('hidden', !hint);
+
+    if (type === 'error') {
+      elements.status.style.color = '#ef4444'; // red
+    } else if (type === 'success') {
+      elements.status.style.color = '#10b981'; // green
+    } else {
+      elements.status.style.color = '#9ca3af'; // gray
+    }
+  }
+
+  /**
+   * Reads the search and price filters
+   * @returns {Object} - Filters for filterItems()
+   */
+  function getTableFilters() {
+    return {
+      search: elements.searchInput.value,
+      minPrice: parseFloat(elements.minPriceInput.value),
+      maxPrice: parseFloat(elements.maxPriceInput.value),
+      pricedOnly: elements.pricedOnlyCheckbox.checked
+    };
+  }
+
+  /**
+   * Returns the items the export buttons write: the ticked rows among those shown,
+   * or every shown row when none is ticked
+   * @returns {Array} - Items in table order
+   */
+  function getExportItems() {
+    return pickExportItems(table.shownItems, table.selectedItems);
+  }
+
+  /**
+   * Ticks or unticks a row
+   * @param {Object} item - Item of the row
+   * @param {boolean} selected - Whether the row is ticked
+   */
+  function setSelected(item, selected) {
+    if (selected) {
+      table.selectedItems.add(item);
+    } else {
+      table.selectedItems.delete(item);
+    }
+    updateSelectionSummary();
+  }
+
+  /**
+   * Updates the item count, select-all checkbox and price total
+   */
+  function updateSelectionSummary() {
+    const { items, shownItems, selectedItems } = table;
+    const selectedCount = shownItems.filter(item => selectedItems.has(item)).length;
+
+    let summary = shownItems.length === items.length
+      ? tPlural('itemsFound', items.length)
+      : t('itemsShown', [shownItems.length, items.length]);
+    if (selectedCount > 0) {
+      summary += `, ${t('selectedCount', selectedCount)}`;
+    }
+    elements.itemCount.textContent = summary;
+
+    elements.selectAllCheckbox.checked = shownItems.length > 0 && selectedCount === shownItems.length;
+    elements.selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < shownItems.length;
+
+    const total = describePriceTotal(getExportItems());
+    elements.selectionTotal.textContent = total ? t(selectedCount > 0 ? 'selectedTotal' : 'shownTotal', total) : '';
+  }
+
+  /**
+   * Applies the filters and sort order and redraws the rows
+   * @param {boolean} [rowsChanged] - False when items were only added at the end
+   */
+  function render(rowsChanged = true) {
+    table.shownItems = sortItems(filterItems(table.items, getTableFilters()), sort.key, sort.direction);
+
+    elements.sortHeaders.forEach((header) => {
+      header.classList.toggle('sort-asc', header.dataset.sort === sort.key && sort.direction === 'asc');
+      header.classList.toggle('sort-desc', header.dataset.sort === sort.key && sort.direction === 'desc');
+    });
+    updateSelectionSummary();
+    renderRows(rowsChanged);
+  }
+
+  /**
+   * Replaces the items in the table and clears the selection
+   * @param {Array} items - Item objects
+   */
+  function setItems(items) {
+    table.items = items;
+    table.selectedItems = new Set();
+    render();
+  }
+
+  /**
+   * Adds items streamed in while a scrape is still running
+   * @param {Array} items - New item objects
+   */
+  function appendItems(items) {
+    if (items.length === 0) return;
+
+    table.items = [...table.items, ...items];
+    render(false);
+  }
+
+  /**
+   * Sorts the table by a column: ascending, then descending, then back to list order
+   * @param {string} key - Sort key from the header's data-sort attribute
+   */
+  function handleSortColumn(key) {
+    if (sort.key !== key) {
+      sort = { key: key, direction: 'asc' };
+    } else if (sort.direction === 'asc') {
+      sort = { key: key, direction: 'desc' };
+    } else {
+      sort = { key: '', direction: 'asc' };
+    }
+    render();
+  }
+
+  /**
+   * Ticks or unticks every shown row
+   */
+  function handleSelectAll() {
+    table.shownItems.forEach((item) => {
+      if (elements.selectAllCheckbox.checked) {
+        table.selectedItems.add(item);
+      } else {
+        table.selectedItems.delete(item);
+      }
+    });
+    updateSelectionSummary();
+    renderRows(false);
+  }
+
+  /**
+   * Exports the ticked or shown items
+   * @param {string} format - 'csv', 'json', 'xlsx', 'html' or 'archive'
+   * @param {HTMLButtonElement} button - Export button, disabled while the export runs
+   * @param {Array} [items] - Items to export instead of the table's
+   * @param {Array} [extraColumns] - Columns written after the chosen ones
+   */
+  async function handleExport(format, button, items = getExportItems(), extraColumns = []) {
+    if (items.length === 0) {
+      updateStatus(t('noItemsToExport'), 'error');
+      return;
+    }
+
+    // Fetching images for the catalog or archive takes a moment
+    button.disabled = true;
+    if (format === 'html') {
+      updateStatus(t('embeddingImages'), 'info');
+    } else if (format === 'archive') {
+      updateStatus(t('downloadingImages'), 'info');
+    }
+
+    try {
+      await exportItems(items, format, table.exportSettings, elements.catalogLayoutSelect.value, extraColumns);
+      updateStatus(t('exported', getExportFormatLabel(format)), 'success');
+    } catch (error) {
+      updateStatus(t('exportError', error.message), 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Follows a scrape job in the background worker until it finishes, adding
+   * items to the table as they stream in. Set the items already found (none for
+   * a new job) before calling.
+   * @param {Object} request - Port message that starts the job or attaches to it
+   * @param {Function} onResult - Called with the final response
+   * @param {Object} [lastProgress] - Stored progress of a job being followed again
+   */
+  function followScrape(request, onResult, lastProgress = null) {
+    elements.scrapeButtons.forEach((button) => {
+      button.disabled = true;
+    });
+    elements.cancelScrapeButton.disabled = false;
+    elements.cancelScrapeButton.textContent = t('cancel');
+    elements.cancelScrapeButton.classList.remove('hidden');
+
+    activeScrape = connectToScrapeJob(request, {
+      onProgress: progress => appendItems(progress.newItems || []),
+      onStatus: text => updateStatus(text, 'info'),
+      onResult: (response) => {
+        activeScrape = null;
+        elements.scrapeButtons.forEach((button) => {
+          button.disabled = false;
+        });
+        elements.cancelScrapeButton.classList.add('hidden');
+        onResult(response);
+      }
+    }, lastProgress);
+  }
+
+  /**
+   * Asks the running scrape to stop; it then finishes with what it has
+   */
+  function handleCancelScrape() {
+    if (!activeScrape) return;
+
+    activeScrape.cancel();
+    elements.cancelScrapeButton.disabled = true;
+    elements.cancelScrapeButton.textContent = t('cancelling');
+  }
+
+  elements.searchInput.addEventListener('input', () => render());
+  elements.minPriceInput.addEventListener('input', () => render());
+  elements.maxPriceInput.addEventListener('input', () => render());
+  elements.pricedOnlyCheckbox.addEventListener('change', () => render());
+  elements.selectAllCheckbox.addEventListener('change', handleSelectAll);
+  elements.sortHeaders.forEach((header) => {
+    header.addEventListener('click', () => handleSortColumn(header.dataset.sort));
+  });
+  elements.cancelScrapeButton.addEventListener('click', handleCancelScrape);
+
+  return table;
+}
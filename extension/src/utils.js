@@ -53,88 +53,410 @@ function extractASIN(input) {
   return '';
 }
 
+// Columns written by the CSV and XLSX exporters, in default order
+// IDs match the item fields and are what the options page stores;
+// prices are emitted as plain numbers so spreadsheets treat them as numeric;
+// type and width only affect XLSX cell formatting
+const ITEM_COLUMNS = [
+  { id: 'name', header: 'Item Name', value: item => item.name, width: 50 },
+  { id: 'asin', header: 'ASIN', value: item => item.asin, width: 12 },
+  { id: 'price', header: 'Price', value: item => item.price, type: 'price', width: 10 },
+  { id: 'currency', header: 'Currency', value: item => item.currency, width: 9 },
+  { id: 'priceText', header: 'Price Text', value: item => item.priceText },
+  { id: 'listPrice', header: 'List Price', value: item => item.listPrice, type: 'price', width: 10 },
+  { id: 'priceWhenAdded', header: 'Price When Added', value: item => item.priceWhenAdded, type: 'price' },
+  { id: 'url', header: 'URL', value: item => item.url, type: 'url', width: 40 },
+  { id: 'image', header: 'Image URL', value: item => item.image, type: 'url', width: 40 },
+  { id: 'requestedQuantity', header: 'Requested Quantity', value: item => item.requestedQuantity },
+  { id: 'purchasedQuantity', header: 'Purchased Quantity', value: item => item.purchasedQuantity },
+  { id: 'cartQuantity', header: 'Cart Quantity', value: item => item.cartQuantity },
+  { id: 'priority', header: 'Priority', value: item => item.priority },
+  { id: 'comment', header: 'Comment', value: item => item.comment },
+  { id: 'dateAdded', header: 'Date Added', value: item => item.dateAdded },
+  { id: 'dateAddedText', header: 'Date Added Text', value: item => item.dateAddedText },
+  { id: 'rating', header: 'Rating', value: item => item.rating },
+  { id: 'reviewCount', header: 'Review Count', value: item => item.reviewCount },
+  { id: 'availability', header: 'Availability', value: item => item.availability },
+  { id: 'seller', header: 'Seller', value: item => item.seller },
+  { id: 'prime', header: 'Prime', value: item => (typeof item.prime === 'boolean' ? item.prime : '') },
+  { id: 'variant', header: 'Variant', value: item => item.variant },
+  { id: 'marketplace', header: 'Marketplace', value: item => item.marketplace },
+  { id: 'listName', header: 'List Name', value: item => item.listName },
+  { id: 'listId', header: 'List ID', value: item => item.listId }
+];
+
+// Columns added to item exports of a budget plan (see getPlanItems())
+const PLAN_COLUMNS = [
+  { id: 'plannedQuantity', header: 'Planned Quantity', value: item => item.plannedQuantity },
+  { id: 'plannedCost', header: 'Planned Cost', value: item => item.plannedCost, type: 'price', width: 10 }
+];
+
+// Columns written when exporting a snapshot diff
+const DIFF_COLUMNS = [
+  { header: 'Change', value: row => row.change },
+  { header: 'Item Name', value: row => row.name },
+  { header: 'ASIN', value: row => row.asin },
+  { header: 'Old Value', value: row => row.oldValue },
+  { header: 'New Value', value: row => row.newValue },
+  { header: 'Price Change', value: row => row.priceChange },
+  { header: 'Price Change %', value: row => row.priceChangePercent },
+  { header: 'Currency', value: row => row.currency },
+  { header: 'URL', value: row => row.url }
+];
+
 /**
- * Exports items array to CSV format and triggers download
- * @param {Array} items - Array of wishlist item objects
+ * Returns the item columns selected on the options page, in the chosen order
+ * @param {Object} settings - Export settings
+ * @returns {Array} - Column definitions
+ */
+function getExportColumns(settings) {
+  if (!settings || !Array.isArray(settings.columns) || settings.columns.length === 0) {
+    return ITEM_COLUMNS;
+  }
+  
+  const columns = settings.columns
+    .map(id => ITEM_COLUMNS.find(column => column.id === id))
+    .filter(Boolean);
+  return columns.length > 0 ? columns : ITEM_COLUMNS;
+}
+
+/**
+ * Returns the list all items belong to, for file name templates
+ * @param {Array} items - Wishlist items
+ * @returns {Object|null} - { id, name, marketplace } or null for mixed lists
+ */
+function getItemsList(items) {
+  if (!items || items.length === 0) return null;
+  
+  const first = items[0];
+  if (!items.every(item => item.listId === first.listId)) return null;
+  return { id: first.listId || '', name: getItemListName(first), marketplace: first.marketplace || '' };
+}
+
+/**
+ * Filters items by a text search and a price range
+ * @param {Array} items - Item objects
+ * @param {Object} filters - { search, minPrice, maxPrice, pricedOnly }; empty values are ignored
+ * @returns {Array} - Matching items in their original order
+ */
+function filterItems(items, filters) {
+  const search = (filters.search || '').trim().toLowerCase();
+  const hasMin = Number.isFinite(filters.minPrice);
+  const hasMax = Number.isFinite(filters.maxPrice);
+  
+  return items.filter((item) => {
+    const hasPrice = Number.isFinite(item.price);
+    // Items without a price can't fall inside a range
+    if ((filters.pricedOnly || hasMin || hasMax) && !hasPrice) return false;
+    if (hasMin && item.price < filters.minPrice) return false;
+    if (hasMax && item.price > filters.maxPrice) return false;
+    
+    if (search) {
+      const text = [item.name, item.asin, item.comment, item.variant, item.seller, getItemListName(item)]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!text.includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Sorts items by name, price or date added, leaving the input untouched
+ * Items without a value for the key go last in both directions
+ * @param {Array} items - Item objects
+ * @param {string} key - 'name', 'price' or 'dateAdded'; anything else keeps the order
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} - Sorted copy
+ */
+function sortItems(items, key, direction = 'asc') {
+  const getValue = {
+    name: item => item.name || null,
+    price: item => Number.isFinite(item.price) ? item.price : null,
+    dateAdded: item => item.dateAdded || null
+  }[key];
+  if (!getValue) return [...items];
+  
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...items].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA === null || valueB === null) {
+      return (valueA === null) - (valueB === null);
+    }
+    const order = typeof valueA === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base', numeric: true });
+    return order * sign;
+  });
+}
+
+/**
+ * Adds up item prices, one total per currency
+ * @param {Array} items - Item objects
+ * @returns {Array} - [{ currency, total, count }] where count is the number of priced items
+ */
+function sumItemPrices(items) {
+  const totals = new Map();
+  items.forEach((item) => {
+    if (!Number.isFinite(item.price)) return;
+    const currency = item.currency || '';
+    const entry = totals.get(currency) || { currency: currency, total: 0, count: 0 };
+    entry.total += item.price;
+    entry.count++;
+    totals.set(currency, entry);
+  });
+  
+  // Round away floating point noise from adding decimal prices
+  return Array.from(totals.values(), entry => ({ ...entry, total: Math.round(entry.total * 100) / 100 }));
+}
+
+/**
+ * Describes the price total of items for a summary line
+ * Lists from several marketplaces are totalled per currency
+ * @param {Array} items - Item objects
+ * @returns {string} - E.g. "$13.75 + €7.00 (1 without a price)", or '' when no item has a price
+ */
+function describePriceTotal(items) {
+  const totals = sumItemPrices(items);
+  if (totals.length === 0) return '';
+  
+  const unpriced = items.length - totals.reduce((count, entry) => count + entry.count, 0);
+  return totals.map(entry => formatPriceAmount(entry.total, entry.currency)).join(' + ') +
+    (unpriced > 0 ? ` ${tPlural('withoutPrice', unpriced)}` : '');
+}
+
+/**
+ * Describes an item's quantity for a table cell
+ * @param {Object} item - Item object
+ * @returns {string} - "purchased/requested" for list items, the quantity for
+ *   cart items, or '' when neither is shown
  */
-function exportToCSV(items) {
+function formatItemQuantity(item) {
+  if (item.requestedQuantity !== null && item.requestedQuantity !== undefined) {
+    return `${item.purchasedQuantity ?? 0}/${item.requestedQuantity}`;
+  }
+  if (item.cartQuantity !== null && item.cartQuantity !== undefined) {
+    return `×${item.cartQuantity}`;
+  }
+  return '';
+}
+
+/**
+ * Picks the items an export should write from a table view
+ * @param {Array} shownItems - Items shown after filtering, in table order
+ * @param {Set} selectedItems - Ticked items
+ * @returns {Array} - The ticked items among those shown, or all shown items when none is ticked
+ */
+function pickExportItems(shownItems, selectedItems) {
+  const selected = shownItems.filter(item => selectedItems.has(item));
+  return selected.length > 0 ? selected : shownItems;
+}
+
+/**
+ * Exports rows to CSV format and triggers download
+ * @param {Array} items - Array of wishlist item objects (or other rows)
+ * @param {Array} columns - Column definitions, defaults to ITEM_COLUMNS
+ * @param {string} filename - File name without extension
+ * @param {Object} settings - Export settings (delimiter, includeBOM, crlf)
+ */
+function exportToCSV(items, columns = ITEM_COLUMNS, filename = `amazon-wishlist-${getDateStamp()}`,
+  settings = DEFAULT_EXPORT_SETTINGS) {
   if (!items || items.length === 0) {
-    alert('No items to export');
+    alert(t('noItemsToExport'));
     return;
   }
   
+  downloadFile(buildCSV(items, columns, settings), `${filename}.csv`, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Builds CSV text for rows
+ * @param {Array} items - Array of wishlist item objects (or other rows)
+ * @param {Array} columns - Column definitions
+ * @param {Object} settings - Export settings (delimiter, includeBOM, crlf)
+ * @returns {string}
+ */
+function buildCSV(items, columns, settings) {
+  const delimiter = CSV_DELIMITERS[settings.delimiter] || ',';
+  const lineEnding = settings.crlf ? '\r\n' : '\n';
+  
   // CSV headers
-  const headers = ['Item Name', 'ASIN', 'Price', 'URL', 'Image URL'];
+  const headers = columns.map(column => escapeCSVField(column.header, delimiter));
   
   // Build CSV rows
-  const rows = items.map(item => {
-    const name = escapeCSVField(item.name || '');
-    const asin = escapeCSVField(item.asin || '');
-    const price = escapeCSVField(item.price || '');
-    const url = escapeCSVField(item.url || '');
-    const image = escapeCSVField(item.image || '');
-    return `${name},${asin},${price},${url},${image}`;
-  });
+  const rows = items.map(item =>
+    columns.map(column => escapeCSVField(column.value(item), delimiter)).join(delimiter)
+  );
   
   // Combine headers and rows
-  const csvContent = [headers.join(','), ...rows].join('\n');
-  
-  // Create blob and download
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `amazon-wishlist-${new Date().toISOString().split('T')[0]}.csv`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  return (settings.includeBOM ? '\uFEFF' : '') +
+    [headers.join(delimiter), ...rows].join(lineEnding);
 }
 
 /**
- * Escapes CSV field values (handles commas, quotes, newlines)
+ * Escapes CSV field values (handles delimiters, quotes, newlines)
  * @param {string} field - Field value to escape
+ * @param {string} delimiter - Field delimiter in use
  * @returns {string} - Escaped field value
  */
-function escapeCSVField(field) {
+function escapeCSVField(field, delimiter = ',') {
   if (field === null || field === undefined) return '';
   const str = String(field);
-  // If field contains comma, quote, or newline, wrap in quotes and escape quotes
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+  // If field contains the delimiter, a quote, or a line break, wrap in quotes and escape quotes
+  if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
     return `"${str.replace(/"/g, '""')}"`;
   }
   return str;
 }
 
 /**
- * Exports items array to JSON format and triggers download
+ * Exports data to JSON format and triggers download
+ * @param {Array|Object} items - Array of wishlist item objects, or a diff object
+ * @param {string} filename - File name without extension
+ * @param {Array} [columns] - Only keep these item fields, in this order
+ */
+function exportToJSON(items, filename = `amazon-wishlist-${getDateStamp()}`, columns) {
+  if (!items || (Array.isArray(items) && items.length === 0)) {
+    alert(t('noItemsToExport'));
+    return;
+  }
+  
+  downloadFile(buildJSON(items, columns), `${filename}.json`, 'application/json;charset=utf-8;');
+}
+
+/**
+ * Builds pretty-printed JSON for items or a diff
+ * @param {Array|Object} items - Array of wishlist item objects, or a diff object
+ * @param {Array} [columns] - Only keep these item fields, in this order
+ * @returns {string}
+ */
+function buildJSON(items, columns) {
+  const data = Array.isArray(items) && columns
+    ? items.map(item => Object.fromEntries(columns.map(column => [column.id, item[column.id]])))
+    : items;
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Exports items to an XLSX workbook and triggers download
+ * Items from several lists get one sheet per list
+ * @param {Array} items - Array of wishlist item objects
+ * @param {string} filename - File name without extension
+ * @param {Array} columns - Column definitions, defaults to ITEM_COLUMNS
+ */
+function exportToXLSX(items, filename = `amazon-wishlist-${getDateStamp()}`, columns = ITEM_COLUMNS) {
+  if (!items || items.length === 0) {
+    alert(t('noItemsToExport'));
+    return;
+  }
+  
+  // Group by list, keeping the order lists first appear in
+  const sheetsByList = new Map();
+  items.forEach((item) => {
+    const key = item.listId || '';
+    if (!sheetsByList.has(key)) {
+      sheetsByList.set(key, { name: getItemListName(item) || item.listId || 'Wishlist', columns: columns, rows: [] });
+    }
+    sheetsByList.get(key).rows.push(item);
+  });
+  
+  const workbook = buildXLSX([...sheetsByList.values()]);
+  downloadFile(workbook, `${filename}.xlsx`, XLSX_MIME_TYPE);
+}
+
+/**
+ * Exports items to a self-contained HTML gift catalog and triggers download
+ * Thumbnails are fetched and embedded as data URIs so the file works offline
  * @param {Array} items - Array of wishlist item objects
+ * @param {string} layout - 'grid' or 'list'
+ * @param {string} filename - File name without extension
+ * @returns {Promise<void>}
  */
-function exportToJSON(items) {
+async function exportToHTML(items, layout = 'grid', filename = `amazon-wishlist-${getDateStamp()}`) {
   if (!items || items.length === 0) {
-    alert('No items to export');
+    alert(t('noItemsToExport'));
     return;
   }
   
-  // Create JSON with pretty printing
-  const jsonContent = JSON.stringify(items, null, 2);
+  const images = await embedItemImages(items);
+  const htmlContent = buildCatalogHTML(items, { layout: layout, images: images });
   
-  // Create blob and download
-  const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+  downloadFile(htmlContent, `${filename}.html`, 'text/html;charset=utf-8;');
+}
+
+/**
+ * Returns the display name of a format exportItems() writes
+ * @param {string} format - 'csv', 'json', 'xlsx', 'html' or 'archive'
+ * @returns {string}
+ */
+function getExportFormatLabel(format) {
+  return { html: t('giftCatalog'), archive: t('zipArchive') }[format] || format.toUpperCase();
+}
+
+/**
+ * Exports items in one of the item formats using the export settings
+ * (columns, CSV dialect and file name template)
+ * @param {Array} items - Items to export
+ * @param {string} format - 'csv', 'json', 'xlsx', 'html' or 'archive'
+ * @param {Object} settings - Export settings from getExportSettings()
+ * @param {string} layout - Catalog layout for 'html' ('grid' or 'list')
+ * @param {Array} [extraColumns] - Columns written after the chosen ones (e.g. PLAN_COLUMNS)
+ * @returns {Promise<void>}
+ */
+async function exportItems(items, format, settings, layout = 'grid', extraColumns = []) {
+  const columns = [...getExportColumns(settings), ...extraColumns];
+  const filename = formatExportFilename(settings.filenameTemplate, getItemsList(items));
+  
+  if (format === 'csv') {
+    exportToCSV(items, columns, filename, settings);
+  } else if (format === 'json') {
+    exportToJSON(items, filename, columns);
+  } else if (format === 'xlsx') {
+    exportToXLSX(items, filename, columns);
+  } else if (format === 'html') {
+    await exportToHTML(items, layout, filename);
+  } else if (format === 'archive') {
+    await exportToArchive(items, filename, columns, settings);
+  } else {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Returns today's date as YYYY-MM-DD for file names
+ * @returns {string}
+ */
+function getDateStamp() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Triggers a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `amazon-wishlist-${new Date().toISOString().split('T')[0]}.json`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
 
-// Export functions for use in popup.js
+// Export functions for use in popup.js and dashboard.js
 if (typeof window !== 'undefined') {
   window.extractASIN = extractASIN;
   window.exportToCSV = exportToCSV;
   window.exportToJSON = exportToJSON;
+  window.exportToXLSX = exportToXLSX;
+  window.exportToHTML = exportToHTML;
+  window.exportItems = exportItems;
 }
 
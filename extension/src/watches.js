@@ -0,0 +1,184 @@
+// Price-watch settings and alert log for Amazon Wishlist Scraper
+// Shared by the background scheduler and the popup watch panel
+
+const WATCHES_KEY = 'watches';
+const ALERT_LOG_KEY = 'watchAlerts';
+const MAX_ALERT_LOG_ENTRIES = 500;
+const WATCH_ALARM_PREFIX = 'watch:';
+
+const DEFAULT_WATCH_SETTINGS = {
+  intervalMinutes: 360,
+  priceThreshold: null,
+  dropPercent: 10,
+  notifyBackInStock: true,
+  enabled: true
+};
+
+/**
+ * Returns all configured watches
+ * @returns {Promise<Array>} - Watch objects
+ */
+async function getWatches() {
+  const data = await chrome.storage.local.get(WATCHES_KEY);
+  return Object.values(data[WATCHES_KEY] || {});
+}
+
+/**
+ * Returns a single watch by ID
+ * @param {string} watchId - Watch ID (the watched list key)
+ * @returns {Promise<Object|null>}
+ */
+async function getWatch(watchId) {
+  const data = await chrome.storage.local.get(WATCHES_KEY);
+  return (data[WATCHES_KEY] || {})[watchId] || null;
+}
+
+/**
+ * Creates or updates a watch for a wishlist
+ * One watch exists per list, so the list key doubles as the watch ID
+ * @param {Object} list - List info ({ id, name, url, marketplace })
+ * @param {Object} settings - Watch settings, merged over DEFAULT_WATCH_SETTINGS
+ * @returns {Promise<Object>} - The stored watch
+ */
+async function saveWatch(list, settings) {
+  const data = await chrome.storage.local.get(WATCHES_KEY);
+  const watches = data[WATCHES_KEY] || {};
+  const watchId = getListKey(list);
+  const existing = watches[watchId] || {};
+
+  const watch = {
+    ...DEFAULT_WATCH_SETTINGS,
+    ...existing,
+    ...settings,
+    id: watchId,
+    listId: list.id,
+    name: list.name || list.id,
+    url: list.url,
+    marketplace: list.marketplace,
+    createdAt: existing.createdAt || new Date().toISOString()
+  };
+
+  watches[watchId] = watch;
+  await chrome.storage.local.set({ [WATCHES_KEY]: watches });
+  return watch;
+}
+
+/**
+ * Merges fields into a stored watch
+ * @param {string} watchId - Watch ID
+ * @param {Object} fields - Fields to merge (e.g. enabled, lastCheckedAt, lastError)
+ */
+async function updateWatch(watchId, fields) {
+  const data = await chrome.storage.local.get(WATCHES_KEY);
+  const watches = data[WATCHES_KEY] || {};
+  if (!watches[watchId]) return;
+
+  watches[watchId] = { ...watches[watchId], ...fields };
+  await chrome.storage.local.set({ [WATCHES_KEY]: watches });
+}
+
+/**
+ * Removes a watch and its alert log entries
+ * @param {string} watchId - Watch ID
+ */
+async function deleteWatch(watchId) {
+  const data = await chrome.storage.local.get([WATCHES_KEY, ALERT_LOG_KEY]);
+  const watches = data[WATCHES_KEY] || {};
+  delete watches[watchId];
+
+  const alerts = (data[ALERT_LOG_KEY] || []).filter(alert => alert.watchId !== watchId);
+  await chrome.storage.local.set({ [WATCHES_KEY]: watches, [ALERT_LOG_KEY]: alerts });
+}
+
+/**
+ * Returns logged alerts, newest first
+ * @param {string} [watchId] - Only return alerts for this watch
+ * @returns {Promise<Array>} - Alert objects
+ */
+async function getAlertLog(watchId) {
+  const data = await chrome.storage.local.get(ALERT_LOG_KEY);
+  const alerts = data[ALERT_LOG_KEY] || [];
+  return watchId ? alerts.filter(alert => alert.watchId === watchId) : alerts;
+}
+
+/**
+ * Prepends alerts to the log, keeping at most MAX_ALERT_LOG_ENTRIES
+ * @param {Array} alerts - New alert objects
+ */
+async function appendAlerts(alerts) {
+  if (alerts.length === 0) return;
+  const existing = await getAlertLog();
+  const log = [...alerts, ...existing].slice(0, MAX_ALERT_LOG_ENTRIES);
+  await chrome.storage.local.set({ [ALERT_LOG_KEY]: log });
+}
+
+/**
+ * Checks whether an item is currently unavailable
+ * The availability text is in the language of the item's marketplace
+ * @param {Object} item - Scraped item
+ * @returns {boolean}
+ */
+function isItemUnavailable(item) {
+  return matchesPageText(item.availability || '', 'unavailable', getMarketplaceLanguage(item.marketplace));
+}
+
+/**
+ * Compares a fresh scrape with the last stored items and builds alerts
+ * Threshold alerts only fire when a price crosses the threshold, so a
+ * price that stays low does not alert on every check
+ * @param {Object} watch - Watch settings
+ * @param {Array} previousItems - Items from the last stored snapshot
+ * @param {Array} currentItems - Freshly scraped items
+ * @returns {Array} - Alert objects
+ */
+function evaluateWatch(watch, previousItems, currentItems) {
+  const previousByAsin = new Map(previousItems.map(item => [item.asin, item]));
+  const detectedAt = new Date().toISOString();
+  const alerts = [];
+
+  const createAlert = (item, type, message) => ({
+    id: `${Date.now()}-${alerts.length}`,
+    watchId: watch.id,
+    listName: watch.name,
+    asin: item.asin,
+    name: item.name,
+    url: item.url,
+    price: item.price,
+    currency: item.currency,
+    type: type,
+    message: message,
+    detectedAt: detectedAt
+  });
+
+  currentItems.forEach((item) => {
+    const previous = previousByAsin.get(item.asin);
+    if (!previous) return;
+
+    const price = item.price;
+    const previousPrice = previous.price;
+    const hasPrice = typeof price === 'number';
+    const hadPrice = typeof previousPrice === 'number';
+    const formatted = hasPrice ? formatPriceAmount(price, item.currency) : '';
+
+    if (hasPrice && typeof watch.priceThreshold === 'number' && price < watch.priceThreshold &&
+        (!hadPrice || previousPrice >= watch.priceThreshold)) {
+      alerts.push(createAlert(item, 'threshold',
+        t('alertThreshold', [formatted, formatPriceAmount(watch.priceThreshold, item.currency)])));
+    }
+
+    if (hasPrice && hadPrice && typeof watch.dropPercent === 'number' && previousPrice > 0) {
+      const dropPercent = ((previousPrice - price) / previousPrice) * 100;
+      if (dropPercent >= watch.dropPercent) {
+        alerts.push(createAlert(item, 'drop',
+          t('alertDrop', [Math.round(dropPercent), formatPriceAmount(previousPrice, item.currency), formatted])));
+      }
+    }
+
+    if (watch.notifyBackInStock && isItemUnavailable(previous) && !isItemUnavailable(item)) {
+      alerts.push(createAlert(item, 'restock',
+        formatted ? t('alertRestockAt', formatted) : t('alertRestock')));
+    }
+  });
+
+  return alerts;
+}
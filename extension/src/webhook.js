@@ -0,0 +1,207 @@
+// Webhook settings, payloads and delivery log for Amazon Wishlist Scraper
+// Shared by the background worker, which delivers completed scrapes, and the
+// options page, which edits the settings and shows the log
+
+const WEBHOOK_SETTINGS_KEY = 'webhookSettings';
+const WEBHOOK_LOG_KEY = 'webhookDeliveries';
+const WEBHOOK_PENDING_KEY = 'webhookPending';
+const MAX_WEBHOOK_LOG_ENTRIES = 100;
+const WEBHOOK_ALARM_PREFIX = 'webhook:';
+
+// Identifies the payload format; bump the version on any incompatible change
+// and describe it in docs/webhook-payload-v<version>.schema.json
+const WEBHOOK_SCHEMA = 'amazon-wishlist-scraper/scrape';
+const WEBHOOK_SCHEMA_VERSION = 1;
+
+const DEFAULT_WEBHOOK_SETTINGS = {
+  enabled: false,
+  url: '',
+  mode: 'full',           // 'full' sends every item, 'diff' only the changes since the last scrape
+  headers: [],            // [{ name, value }] sent with every request, e.g. Authorization
+  maxRetries: 3,          // Attempts after the first one fails
+  retryDelaySeconds: 30   // Doubled after every failed attempt; not shown in the options
+};
+
+// Header names may only use token characters (RFC 9110)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Returns the webhook settings, falling back to defaults
+ * @returns {Promise<Object>}
+ */
+async function getWebhookSettings() {
+  const data = await chrome.storage.local.get(WEBHOOK_SETTINGS_KEY);
+  return { ...DEFAULT_WEBHOOK_SETTINGS, ...(data[WEBHOOK_SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Validates and stores the webhook settings
+ * @param {Object} settings - Settings to merge over DEFAULT_WEBHOOK_SETTINGS
+ * @returns {Promise<Object>} - The stored settings
+ * @throws {Error} - If the URL or a header is invalid
+ */
+async function saveWebhookSettings(settings) {
+  const merged = { ...DEFAULT_WEBHOOK_SETTINGS, ...settings };
+
+  if (merged.enabled || merged.url) {
+    getWebhookPermissionOrigin(merged.url); // Throws for anything but http(s) URLs
+  }
+  merged.headers.forEach((header) => {
+    if (!HEADER_NAME_PATTERN.test(header.name)) {
+      throw new Error(t('errHeaderName', header.name));
+    }
+  });
+  if (!['full', 'diff'].includes(merged.mode)) {
+    throw new Error(t('errWebhookMode', merged.mode));
+  }
+  merged.maxRetries = Math.min(Math.max(parseInt(merged.maxRetries, 10) || 0, 0), 10);
+
+  await chrome.storage.local.set({ [WEBHOOK_SETTINGS_KEY]: merged });
+  return merged;
+}
+
+/**
+ * Parses headers written one per line as "Name: value"
+ * @param {string} text - Header lines; blank lines are ignored
+ * @returns {Array} - [{ name, value }]
+ * @throws {Error} - If a line has no colon
+ */
+function parseWebhookHeaders(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) {
+        throw new Error(t('errHeaderLine', line));
+      }
+      return { name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() };
+    });
+}
+
+/**
+ * Writes headers back as "Name: value" lines
+ * @param {Array} headers - [{ name, value }]
+ * @returns {string}
+ */
+function formatWebhookHeaders(headers) {
+  return headers.map(header => `${header.name}: ${header.value}`).join('\n');
+}
+
+/**
+ * Returns the host permission pattern needed to post to a webhook URL
+ * Match patterns ignore the port, so one grant covers every port of the host
+ * @param {string} url - Webhook URL
+ * @returns {string} - E.g. 'https://inventory.example.com/*'
+ * @throws {Error} - If the URL is not an http or https URL
+ */
+function getWebhookPermissionOrigin(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error(t('errWebhookUrl'));
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(t('errWebhookProtocol'));
+  }
+  return `${parsed.protocol}//${parsed.hostname}/*`;
+}
+
+/**
+ * Builds the JSON body posted to the webhook
+ * @param {Object} options - { event, trigger, mode, list, snapshot, items, diff }:
+ *   event is 'scrape.completed' or 'test'; trigger says what ran the scrape
+ *   ('manual', 'allLists', 'watch' or 'test'); full mode sends items, diff mode sends diff
+ * @returns {Object} - Payload following the schema in docs/webhook-payload-v1.schema.json
+ */
+function buildWebhookPayload(options) {
+  const { event, trigger, mode, list, snapshot, items, diff } = options;
+  const payload = {
+    schema: WEBHOOK_SCHEMA,
+    schemaVersion: WEBHOOK_SCHEMA_VERSION,
+    event: event,
+    deliveryId: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    sentAt: new Date().toISOString(),
+    trigger: trigger,
+    mode: mode,
+    list: {
+      id: list.id,
+      name: list.name || '',
+      url: list.url || '',
+      marketplace: list.marketplace || '',
+      type: list.type || 'wishlist'
+    },
+    snapshot: snapshot
+      ? { id: snapshot.id, takenAt: snapshot.takenAt, itemCount: snapshot.items.length }
+      : null
+  };
+
+  if (mode === 'diff') {
+    payload.diff = diff;
+  } else {
+    payload.items = items;
+  }
+  return payload;
+}
+
+/**
+ * Returns the delivery log, newest first
+ * @returns {Promise<Array>} - Entries from saveWebhookLogEntry()
+ */
+async function getWebhookLog() {
+  const data = await chrome.storage.local.get(WEBHOOK_LOG_KEY);
+  return data[WEBHOOK_LOG_KEY] || [];
+}
+
+/**
+ * Adds a delivery to the log, or updates it after a retry, keeping the newest
+ * MAX_WEBHOOK_LOG_ENTRIES
+ * @param {Object} entry - { deliveryId, event, listName, mode, url, status, httpStatus,
+ *   attempts, error, startedAt, finishedAt, nextAttemptAt }, where status is 'pending',
+ *   'delivered' or 'failed'
+ */
+async function saveWebhookLogEntry(entry) {
+  const log = await getWebhookLog();
+  const index = log.findIndex(logged => logged.deliveryId === entry.deliveryId);
+  if (index >= 0) {
+    log[index] = entry;
+  } else {
+    log.unshift(entry);
+  }
+  await chrome.storage.local.set({ [WEBHOOK_LOG_KEY]: log.slice(0, MAX_WEBHOOK_LOG_ENTRIES) });
+}
+
+/**
+ * Stores a delivery waiting for its next attempt, so the retry survives the
+ * background worker being stopped in between
+ * @param {Object} payload - Payload from buildWebhookPayload()
+ * @param {Object} entry - The delivery's log entry
+ */
+async function savePendingWebhook(payload, entry) {
+  const data = await chrome.storage.local.get(WEBHOOK_PENDING_KEY);
+  const pending = data[WEBHOOK_PENDING_KEY] || {};
+  pending[entry.deliveryId] = { payload: payload, entry: entry };
+  await chrome.storage.local.set({ [WEBHOOK_PENDING_KEY]: pending });
+}
+
+/**
+ * Removes a waiting delivery from storage and returns it
+ * @param {string} deliveryId - Delivery ID from the payload
+ * @returns {Promise<Object|null>} - { payload, entry }, or null if it isn't waiting
+ */
+async function takePendingWebhook(deliveryId) {
+  const data = await chrome.storage.local.get(WEBHOOK_PENDING_KEY);
+  const pending = data[WEBHOOK_PENDING_KEY] || {};
+  const delivery = pending[deliveryId] || null;
+  delete pending[deliveryId];
+  await chrome.storage.local.set({ [WEBHOOK_PENDING_KEY]: pending });
+  return delivery;
+}
+
+/**
+ * Empties the delivery log
+ */
+async function clearWebhookLog() {
+  await chrome.storage.local.remove(WEBHOOK_LOG_KEY);
+}
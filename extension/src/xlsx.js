@@ -0,0 +1,260 @@
+// XLSX workbook writer for Amazon Wishlist Scraper
+// Generates SpreadsheetML parts in the browser and packages them with zip.js
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Indexes into the cellXfs list in buildStylesXml()
+const XLSX_STYLE = {
+  default: 0,
+  header: 1,
+  price: 2,
+  link: 3,
+  wholePrice: 4
+};
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 does not allow
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a zero-based column index to a column letter (0 -> A, 27 -> AB)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function getColumnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Makes a valid, unique worksheet name (max 31 chars, no []:*?/\)
+ * @param {string} name - Desired name
+ * @param {Set} usedNames - Names already taken (lowercase)
+ * @returns {string}
+ */
+function getSheetName(name, usedNames) {
+  const base = (String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').substring(0, 31);
+  let candidate = base;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    candidate = base.substring(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Picks the number format of a price cell: whole numbers for currencies
+ * without minor units such as JPY, two decimals otherwise
+ * @param {string} currency - ISO currency code of the row
+ * @returns {number} - Index into XLSX_STYLE
+ */
+function getPriceStyle(currency) {
+  if (!currency) return XLSX_STYLE.price;
+
+  try {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions();
+    return maximumFractionDigits === 0 ? XLSX_STYLE.wholePrice : XLSX_STYLE.price;
+  } catch (e) {
+    return XLSX_STYLE.price;
+  }
+}
+
+/**
+ * Builds the XML for a single cell
+ * @param {string} ref - Cell reference such as B2
+ * @param {*} value - Cell value
+ * @param {Object} column - Column definition ({ type })
+ * @param {string} [currency] - Currency of the row, for price cells
+ * @returns {string} - Cell XML or empty string for blank cells
+ */
+function buildCellXml(ref, value, column, currency) {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const style = column.type === 'price' ? ` s="${getPriceStyle(currency)}"` : '';
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const style = column.type === 'url' ? ` s="${XLSX_STYLE.link}"` : '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Builds a worksheet with a frozen header row and hyperlinked URL cells
+ * @param {Object} sheet - { columns, rows }
+ * @returns {Object} - { xml, relsXml } where relsXml is empty without hyperlinks
+ */
+function buildSheetXml(sheet) {
+  const { columns, rows } = sheet;
+  const hyperlinks = [];
+
+  const headerCells = columns.map((column, index) =>
+    `<c r="${getColumnLetter(index)}1" s="${XLSX_STYLE.header}" t="inlineStr"><is><t>${escapeXml(column.header)}</t></is></c>`
+  ).join('');
+
+  const dataRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((column, index) => {
+      const ref = `${getColumnLetter(index)}${rowNumber}`;
+      const value = column.value(row);
+      if (column.type === 'url' && typeof value === 'string' && /^https?:\/\//.test(value)) {
+        hyperlinks.push({ ref: ref, target: value });
+      }
+      return buildCellXml(ref, value, column, row.currency);
+    }).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }).join('');
+
+  const cols = columns.map((column, index) =>
+    `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`
+  ).join('');
+
+  const hyperlinksXml = hyperlinks.length > 0
+    ? `<hyperlinks>${hyperlinks.map((link, index) =>
+      `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`).join('')}</hyperlinks>`
+    : '';
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<cols>${cols}</cols>` +
+    `<sheetData><row r="1">${headerCells}</row>${dataRows}</sheetData>` +
+    hyperlinksXml +
+    '</worksheet>';
+
+  const relsXml = hyperlinks.length > 0
+    ? '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      hyperlinks.map((link, index) =>
+        `<Relationship Id="rId${index + 1}" ` +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" ' +
+        `Target="${escapeXml(link.target)}" TargetMode="External"/>`).join('') +
+      '</Relationships>'
+    : '';
+
+  return { xml: xml, relsXml: relsXml };
+}
+
+/**
+ * Builds the shared styles part: bold header, 2-decimal and whole-number prices, blue links
+ * @returns {string}
+ */
+function buildStylesXml() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="3">' +
+    '<font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+    '</fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="5">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>';
+}
+
+/**
+ * Builds an XLSX workbook
+ * @param {Array} sheets - [{ name, columns, rows }] where columns are
+ *   { header, value, type?, width? } and type is 'price' or 'url'
+ * @returns {Blob} - XLSX file
+ */
+function buildXLSX(sheets) {
+  const usedNames = new Set();
+  const files = [];
+  const sheetEntries = [];
+
+  sheets.forEach((sheet, index) => {
+    const sheetNumber = index + 1;
+    const { xml, relsXml } = buildSheetXml(sheet);
+    files.push({ name: `xl/worksheets/sheet${sheetNumber}.xml`, data: xml });
+    if (relsXml) {
+      files.push({ name: `xl/worksheets/_rels/sheet${sheetNumber}.xml.rels`, data: relsXml });
+    }
+    sheetEntries.push({ number: sheetNumber, name: getSheetName(sheet.name, usedNames) });
+  });
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetEntries.map(entry =>
+      `<Override PartName="/xl/worksheets/sheet${entry.number}.xml" ` +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" ' +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+    'Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets>' +
+    sheetEntries.map(entry =>
+      `<sheet name="${escapeXml(entry.name)}" sheetId="${entry.number}" r:id="rId${entry.number}"/>`).join('') +
+    '</sheets>' +
+    '</workbook>';
+
+  // Sheets take rId1..rIdN, styles follow
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheetEntries.map(entry =>
+      `<Relationship Id="rId${entry.number}" ` +
+      'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+      `Target="worksheets/sheet${entry.number}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheetEntries.length + 1}" ` +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" ' +
+    'Target="styles.xml"/>' +
+    '</Relationships>';
+
+  const zip = createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: buildStylesXml() },
+    ...files
+  ]);
+
+  return new Blob([zip], { type: XLSX_MIME_TYPE });
+}
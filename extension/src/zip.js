@@ -0,0 +1,103 @@
+// Minimal ZIP archive writer for Amazon Wishlist Scraper
+// Stores entries uncompressed, which is all XLSX workbooks need
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum used by the ZIP format
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used in ZIP headers
+ * @param {Date} date - Timestamp
+ * @returns {Object} - { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Builds a ZIP archive from in-memory files
+ * @param {Array} files - [{ name, data }] where data is a string or Uint8Array
+ * @returns {Blob} - ZIP archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const chunks = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const nameBytes = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const checksum = crc32(data);
+
+    // Local file header
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true);
+    header.setUint16(4, 20, true);          // Version needed to extract
+    header.setUint16(6, 0x0800, true);      // Flags: UTF-8 file names
+    header.setUint16(8, 0, true);           // Compression: stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, checksum, true);
+    header.setUint32(18, data.length, true); // Compressed size
+    header.setUint32(22, data.length, true); // Uncompressed size
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);          // Extra field length
+
+    // Central directory entry pointing back at the local header
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);           // Version made by
+    entry.setUint16(6, 20, true);           // Version needed to extract
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, checksum, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);      // Local header offset
+
+    chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+    centralDirectory.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directorySize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Local webhook receiver for checking Amazon Wishlist Scraper deliveries
+// Validates every payload against docs/webhook-payload-v1.schema.json and logs it.
+// Needs only Node.js, no packages:
+//
+//   node tools/webhook-test-server.js [--port 8787] [--token secret] [--fail 2]
+//
+// --token  answer 401 unless the request has "Authorization: Bearer <token>"
+// --fail   answer 500 to the first N deliveries, to watch the extension retry
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'docs', 'webhook-payload-v1.schema.json');
+
+/**
+ * Reads --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { port, token, fail }
+ */
+function parseArgs(argv) {
+  const options = { port: 8787, token: '', fail: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    if (argv[i] === '--port') {
+      options.port = parseInt(value, 10);
+      i++;
+    } else if (argv[i] === '--token') {
+      options.token = value || '';
+      i++;
+    } else if (argv[i] === '--fail') {
+      options.fail = parseInt(value, 10) || 0;
+      i++;
+    } else {
+      console.error(`Unknown option ${argv[i]}`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+/**
+ * Returns the JSON type of a value as named in JSON Schema
+ * @param {*} value
+ * @returns {string}
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema the payload schema uses:
+ * type, const, enum, required, properties, items, pattern, minimum, oneOf and
+ * local $ref. Formats and descriptions are ignored
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema or subschema
+ * @param {Object} root - Whole schema, for resolving $ref
+ * @param {string} [at] - JSON path of value, for messages
+ * @returns {Array<string>} - Problems found; empty when the value is valid
+ */
+function validate(value, schema, root, at = '$') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node[key], root);
+    return validate(value, target, root, at);
+  }
+
+  const errors = [];
+  const type = getJsonType(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${type}`];
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.pattern && type === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${at}: below ${schema.minimum}`);
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, subschema]) => {
+      if (key in value) errors.push(...validate(value[key], subschema, root, `${at}.${key}`));
+    });
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((entry, index) => {
+      errors.push(...validate(entry, schema.items, root, `${at}[${index}]`));
+    });
+  }
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(option => validate(value, option, root, at).length === 0);
+    if (passing.length !== 1) {
+      errors.push(`${at}: must match exactly one of ${schema.oneOf.length} alternatives, matched ${passing.length}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Prints a one-line summary of a valid payload
+ * @param {Object} payload
+ */
+function logPayload(payload) {
+  const content = payload.mode === 'diff'
+    ? `${payload.diff.changes.length} change(s) ${JSON.stringify(payload.diff.summary)}`
+    : `${payload.items.length} item(s)`;
+  console.log(`  ${payload.event} via ${payload.trigger}: ${payload.list.type} "${payload.list.name}" ` +
+    `(${payload.list.marketplace}), ${content}`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  let received = 0;
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, message) => {
+      console.log(`  -> ${status} ${message}`);
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(message + '\n');
+    };
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received++;
+      const delivery = req.headers['x-wishlist-scraper-delivery'] || '-';
+      console.log(`[${new Date().toISOString()}] #${received} ${req.method} ${req.url} ` +
+        `delivery ${delivery}, schema ${req.headers['x-wishlist-scraper-schema'] || '-'}`);
+
+      if (req.method !== 'POST') {
+        return reply(405, 'Only POST is accepted');
+      }
+      if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        return reply(401, 'Missing or wrong bearer token');
+      }
+      if (received <= options.fail) {
+        return reply(500, `Failing on purpose (${received}/${options.fail})`);
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return reply(400, `Body is not JSON: ${error.message}`);
+      }
+      const errors = validate(payload, schema, schema);
+      if (errors.length > 0) {
+        errors.forEach(error => console.log(`  ! ${error}`));
+        return reply(422, `Payload does not match the schema (${errors.length} problem(s))`);
+      }
+      logPayload(payload);
+      return reply(200, 'OK');
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Webhook test server listening on http://localhost:${options.port}/`);
+    if (options.token) console.log(`Requiring Authorization: Bearer ${options.token}`);
+    if (options.fail) console.log(`Failing the first ${options.fail} request(s) with 500`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validate };